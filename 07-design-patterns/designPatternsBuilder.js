@@ -73,22 +73,151 @@ console.log(user);
 
 /**
  * SQL-like query builder - common real-world use case.
+ * Values are never spliced into the SQL text: toSQL() returns
+ * { text, params } with dialect placeholders ($1 vs ?) and quoted
+ * identifiers ("col" vs `col`), ready to hand to a database driver.
+ * Column strings that are not plain names (e.g. 'COUNT(*)') are kept
+ * as written, like QueryBuilder.raw().
+ * Beyond SELECT it covers INSERT/UPDATE/DELETE, upserts, nested
+ * condition groups, HAVING, subqueries and CTEs.
  */
 
+const SQL_DIALECTS = {
+    postgres: { placeholder: index => `$${index}`, quote: '"', upsert: 'on-conflict' },
+    mysql: { placeholder: () => '?', quote: '`', upsert: 'on-duplicate-key' },
+    sqlite: { placeholder: () => '?', quote: '"', upsert: 'on-conflict' }
+};
+
+// A column reference: name, table.name or table.*
+const SQL_IDENTIFIER = /^[A-Za-z_][\w$]*(?:\.(?:[A-Za-z_][\w$]*|\*))*$|^\*$/;
+const SQL_OPERATORS = new Set(['=', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE', 'IN', 'NOT IN']);
+
+// Trusted SQL fragment that is emitted as-is (e.g. COUNT(*))
+class RawSQL {
+    constructor(sql) {
+        this.sql = sql;
+    }
+}
+
+// A column used as a value, e.g. comparing to an outer query's column
+class ColumnRef {
+    constructor(column) {
+        this.column = column;
+    }
+}
+
+// COUNT/SUM/AVG/MIN/MAX over a column, usable in SELECT, HAVING and ORDER BY
+class SQLAggregate {
+    constructor(fn, column, alias = null) {
+        this.fn = fn;
+        this.column = column;
+        this.alias = alias;
+    }
+
+    as(alias) {
+        return new SQLAggregate(this.fn, this.column, alias);
+    }
+}
+
+// Compilation state shared by one toSQL() call
+class SQLContext {
+    constructor(dialectName) {
+        this.dialect = SQL_DIALECTS[dialectName];
+        if (!this.dialect) {
+            throw new Error(`Unknown SQL dialect: ${dialectName}`);
+        }
+        this.params = [];
+    }
+
+    param(value) {
+        this.params.push(value);
+        return this.dialect.placeholder(this.params.length);
+    }
+
+    // users.name -> "users"."name", "total AS t" -> "total" AS "t".
+    // Anything else, e.g. "COUNT(*)" or "price * qty", is an expression and
+    // is emitted as written, so never build column names from user input.
+    id(name, withAlias = true) {
+        if (name instanceof RawSQL) return name.sql;
+
+        if (name instanceof SQLAggregate) {
+            const expr = `${name.fn}(${name.column === '*' ? '*' : this.id(name.column)})`;
+            return withAlias && name.alias ? `${expr} AS ${this.id(name.alias)}` : expr;
+        }
+
+        const alias = name.match(/^(.+?)\s+AS\s+(.+)$/i);
+        if (alias) return `${this.id(alias[1])} AS ${this.id(alias[2])}`;
+        if (!SQL_IDENTIFIER.test(name)) return name;
+
+        const q = this.dialect.quote;
+        return name
+            .split('.')
+            .map(part => (part === '*' ? part : q + part.replaceAll(q, q + q) + q))
+            .join('.');
+    }
+}
+
 class QueryBuilder {
-    constructor(table) {
-        this.table = table;
+    constructor(table, alias = null) {
+        this.table = table;      // Table name or a QueryBuilder (subquery)
+        this.alias = alias;
+        this._type = 'select';
+        this._with = [];
         this._select = ['*'];
         this._where = [];
+        this._having = [];
         this._orderBy = [];
         this._limit = null;
         this._offset = null;
         this._joins = [];
         this._groupBy = [];
+        this._values = null;     // insert rows / update values
+        this._conflict = null;   // { columns, action: 'merge' | 'ignore', merge }
+    }
+
+    static from(table, alias) {
+        return new QueryBuilder(table, alias);
+    }
+
+    static raw(sql) {
+        return new RawSQL(sql);
+    }
+
+    static ref(column) {
+        return new ColumnRef(column);
     }
 
-    static from(table) {
-        return new QueryBuilder(table);
+    static count(column = '*') {
+        return new SQLAggregate('COUNT', column);
+    }
+
+    static sum(column) {
+        return new SQLAggregate('SUM', column);
+    }
+
+    static avg(column) {
+        return new SQLAggregate('AVG', column);
+    }
+
+    static min(column) {
+        return new SQLAggregate('MIN', column);
+    }
+
+    static max(column) {
+        return new SQLAggregate('MAX', column);
+    }
+
+    // Used on the empty builders passed to group and subquery callbacks
+    from(table, alias = null) {
+        this.table = table;
+        this.alias = alias;
+        return this;
+    }
+
+    // Common table expression: WITH name AS (query)
+    with(name, query) {
+        this._with.push({ name, query });
+        return this;
     }
 
     select(...columns) {
@@ -96,23 +225,76 @@ class QueryBuilder {
         return this;
     }
 
+    // where(column, operator, value) or where(q => q.where(...).orWhere(...))
     where(column, operator, value) {
-        this._where.push({ column, operator, value, type: 'AND' });
+        this._where.push(this.condition('AND', column, operator, value));
         return this;
     }
 
     orWhere(column, operator, value) {
-        this._where.push({ column, operator, value, type: 'OR' });
+        this._where.push(this.condition('OR', column, operator, value));
         return this;
     }
 
+    // clause: the list a group callback fills, '_where' or '_having'
+    condition(type, column, operator, value, clause = '_where') {
+        if (typeof column === 'function') {
+            const group = new QueryBuilder(null);
+            column(group);
+            return { type, kind: 'group', conditions: group[clause] };
+        }
+        const normalized = String(operator).toUpperCase();
+        if ((normalized === 'IN' || normalized === 'NOT IN') &&
+            !Array.isArray(value) && !(value instanceof QueryBuilder)) {
+            throw new Error(`${normalized} needs an array or a subquery, got ${JSON.stringify(value)}`);
+        }
+        return { type, kind: 'compare', column, operator, value };
+    }
+
     whereIn(column, values) {
-        this._where.push({ 
-            column, 
-            operator: 'IN', 
-            value: values, 
-            type: 'AND' 
-        });
+        // values: an array or a subquery
+        this._where.push(this.condition('AND', column, 'IN', values));
+        return this;
+    }
+
+    whereNull(column) {
+        this._where.push({ type: 'AND', kind: 'null', column, not: false });
+        return this;
+    }
+
+    whereNotNull(column) {
+        this._where.push({ type: 'AND', kind: 'null', column, not: true });
+        return this;
+    }
+
+    whereBetween(column, [low, high]) {
+        this._where.push({ type: 'AND', kind: 'between', column, low, high, not: false });
+        return this;
+    }
+
+    whereNotBetween(column, [low, high]) {
+        this._where.push({ type: 'AND', kind: 'between', column, low, high, not: true });
+        return this;
+    }
+
+    whereExists(query) {
+        this._where.push({ type: 'AND', kind: 'exists', query, not: false });
+        return this;
+    }
+
+    whereNotExists(query) {
+        this._where.push({ type: 'AND', kind: 'exists', query, not: true });
+        return this;
+    }
+
+    // HAVING takes the same condition forms as WHERE
+    having(column, operator, value) {
+        this._having.push(this.condition('AND', column, operator, value, '_having'));
+        return this;
+    }
+
+    orHaving(column, operator, value) {
+        this._having.push(this.condition('OR', column, operator, value, '_having'));
         return this;
     }
 
@@ -146,59 +328,257 @@ class QueryBuilder {
         return this;
     }
 
-    toSQL() {
-        let sql = `SELECT ${this._select.join(', ')} FROM ${this.table}`;
+    // Writes
+
+    insert(rows) {
+        const values = Array.isArray(rows) ? rows : [rows];
+        if (values.length === 0) {
+            throw new Error('insert() requires at least one row');
+        }
+        this._type = 'insert';
+        this._values = values;
+        return this;
+    }
+
+    update(values) {
+        this._type = 'update';
+        this._values = values;
+        return this;
+    }
+
+    delete() {
+        this._type = 'delete';
+        return this;
+    }
+
+    onConflict(...columns) {
+        if (columns.length === 0) {
+            throw new Error('onConflict() needs at least one column');
+        }
+        this._conflict = { columns, action: 'ignore', merge: [] };
+        return this;
+    }
+
+    // Columns to overwrite on conflict (default: every inserted column
+    // that is not part of the conflict target). Nothing to overwrite
+    // means the conflicting row is left alone.
+    merge(columns) {
+        if (!this._conflict) {
+            throw new Error('merge() requires onConflict()');
+        }
+        const merge = columns || Object.keys(this._values[0])
+            .filter(column => !this._conflict.columns.includes(column));
+        this._conflict.action = merge.length > 0 ? 'merge' : 'ignore';
+        this._conflict.merge = merge;
+        return this;
+    }
+
+    ignore() {
+        if (!this._conflict) {
+            throw new Error('ignore() requires onConflict()');
+        }
+        this._conflict.action = 'ignore';
+        return this;
+    }
+
+    upsert(rows, conflictColumns, mergeColumns) {
+        return this.insert(rows).onConflict(...conflictColumns).merge(mergeColumns);
+    }
+
+    // Compilation
+
+    operator(op) {
+        const normalized = op.toUpperCase();
+        if (!SQL_OPERATORS.has(normalized)) {
+            throw new Error(`Unsupported operator: ${op}`);
+        }
+        return normalized;
+    }
+
+    // A value is a bound parameter, a column reference, or a subquery
+    compileValue(ctx, value) {
+        if (value instanceof QueryBuilder) return `(${value.compile(ctx)})`;
+        if (value instanceof RawSQL) return value.sql;
+        if (value instanceof ColumnRef) return ctx.id(value.column);
+        return ctx.param(value);
+    }
+
+    compileCondition(ctx, c) {
+        switch (c.kind) {
+            case 'group': {
+                // An empty group, e.g. where(q => {}), adds no condition
+                const sql = this.compileConditions(ctx, c.conditions);
+                return sql && `(${sql})`;
+            }
+            case 'null':
+                return `${ctx.id(c.column, false)} IS ${c.not ? 'NOT ' : ''}NULL`;
+            case 'between':
+                return `${ctx.id(c.column, false)} ${c.not ? 'NOT ' : ''}BETWEEN ` +
+                    `${ctx.param(c.low)} AND ${ctx.param(c.high)}`;
+            case 'exists':
+                return `${c.not ? 'NOT ' : ''}EXISTS (${this.subquery(c.query).compile(ctx)})`;
+        }
+
+        const operator = this.operator(c.operator);
+        if (Array.isArray(c.value)) {
+            // "IN ()" is invalid SQL; an empty list matches nothing
+            if (c.value.length === 0) return operator === 'IN' ? '1 = 0' : '1 = 1';
+            return `${ctx.id(c.column, false)} ${operator} (${c.value.map(v => ctx.param(v)).join(', ')})`;
+        }
+        return `${ctx.id(c.column, false)} ${operator} ${this.compileValue(ctx, c.value)}`;
+    }
+
+    compileConditions(ctx, conditions) {
+        return conditions
+            .map(c => ({ type: c.type, sql: this.compileCondition(ctx, c) }))
+            .filter(c => c.sql !== '')
+            .map((c, i) => (i === 0 ? '' : `${c.type} `) + c.sql)
+            .join(' ');
+    }
+
+    // whereExists() accepts a builder or a callback that configures one
+    subquery(query) {
+        if (typeof query !== 'function') return query;
+        const builder = new QueryBuilder(null);
+        query(builder);
+        return builder;
+    }
+
+    compileTable(ctx) {
+        if (this.table instanceof QueryBuilder) {
+            if (!this.alias) {
+                throw new Error('A subquery in FROM needs an alias');
+            }
+            return `(${this.table.compile(ctx)}) AS ${ctx.id(this.alias)}`;
+        }
+        return ctx.id(this.alias ? `${this.table} AS ${this.alias}` : this.table);
+    }
+
+    compileWhere(ctx) {
+        const conditions = this.compileConditions(ctx, this._where);
+        return conditions ? ` WHERE ${conditions}` : '';
+    }
+
+    compileSelect(ctx) {
+        let sql = `SELECT ${this._select.map(c => ctx.id(c)).join(', ')} FROM ${this.compileTable(ctx)}`;
 
         // Joins
         for (const join of this._joins) {
-            sql += ` ${join.type} JOIN ${join.table} ON ${join.leftCol} ${join.operator} ${join.rightCol}`;
+            sql += ` ${join.type} JOIN ${ctx.id(join.table)} ON ` +
+                `${ctx.id(join.leftCol)} ${this.operator(join.operator)} ${ctx.id(join.rightCol)}`;
         }
 
-        // Where
-        if (this._where.length > 0) {
-            const conditions = this._where.map((w, i) => {
-                const prefix = i === 0 ? 'WHERE' : w.type;
-                const value = Array.isArray(w.value) 
-                    ? `(${w.value.map(v => `'${v}'`).join(', ')})` 
-                    : `'${w.value}'`;
-                return `${prefix} ${w.column} ${w.operator} ${value}`;
-            });
-            sql += ` ${conditions.join(' ')}`;
-        }
+        sql += this.compileWhere(ctx);
 
-        // Group By
+        // Group By / Having
         if (this._groupBy.length > 0) {
-            sql += ` GROUP BY ${this._groupBy.join(', ')}`;
+            sql += ` GROUP BY ${this._groupBy.map(c => ctx.id(c)).join(', ')}`;
+        }
+        const having = this.compileConditions(ctx, this._having);
+        if (having) {
+            sql += ` HAVING ${having}`;
         }
 
         // Order By
         if (this._orderBy.length > 0) {
-            const orders = this._orderBy.map(o => `${o.column} ${o.direction}`);
+            const orders = this._orderBy.map(o => {
+                const direction = o.direction.toUpperCase();
+                if (direction !== 'ASC' && direction !== 'DESC') {
+                    throw new Error(`Invalid sort direction: ${o.direction}`);
+                }
+                return `${ctx.id(o.column, false)} ${direction}`;
+            });
             sql += ` ORDER BY ${orders.join(', ')}`;
         }
 
-        // Limit & Offset
-        if (this._limit !== null) {
-            sql += ` LIMIT ${this._limit}`;
-        }
-        if (this._offset !== null) {
-            sql += ` OFFSET ${this._offset}`;
+        // Limit & Offset (validated integers, safe to inline)
+        for (const [keyword, count] of [['LIMIT', this._limit], ['OFFSET', this._offset]]) {
+            if (count === null) continue;
+            if (!Number.isInteger(count) || count < 0) {
+                throw new Error(`${keyword} must be a non-negative integer`);
+            }
+            sql += ` ${keyword} ${count}`;
         }
 
         return sql;
     }
+
+    compileInsert(ctx) {
+        const columns = Object.keys(this._values[0]);
+        const rows = this._values.map(row => {
+            const keys = Object.keys(row);
+            if (keys.length !== columns.length || !columns.every(c => keys.includes(c))) {
+                throw new Error('All inserted rows must have the same columns');
+            }
+            return `(${columns.map(c => this.compileValue(ctx, row[c])).join(', ')})`;
+        });
+
+        const conflict = this._conflict;
+        const mysqlStyle = ctx.dialect.upsert === 'on-duplicate-key';
+        const verb = conflict && conflict.action === 'ignore' && mysqlStyle ? 'INSERT IGNORE' : 'INSERT';
+
+        let sql = `${verb} INTO ${ctx.id(this.table)} (${columns.map(c => ctx.id(c)).join(', ')}) ` +
+            `VALUES ${rows.join(', ')}`;
+
+        if (conflict && mysqlStyle && conflict.action === 'merge') {
+            const sets = conflict.merge.map(c => `${ctx.id(c)} = VALUES(${ctx.id(c)})`);
+            sql += ` ON DUPLICATE KEY UPDATE ${sets.join(', ')}`;
+        } else if (conflict && !mysqlStyle) {
+            sql += ` ON CONFLICT (${conflict.columns.map(c => ctx.id(c)).join(', ')})`;
+            sql += conflict.action === 'merge'
+                ? ` DO UPDATE SET ${conflict.merge.map(c => `${ctx.id(c)} = EXCLUDED.${ctx.id(c)}`).join(', ')}`
+                : ' DO NOTHING';
+        }
+        return sql;
+    }
+
+    compileUpdate(ctx) {
+        if (Object.keys(this._values).length === 0) {
+            throw new Error('update() needs at least one column to set');
+        }
+        const sets = Object.entries(this._values)
+            .map(([column, value]) => `${ctx.id(column)} = ${this.compileValue(ctx, value)}`);
+        return `UPDATE ${ctx.id(this.table)} SET ${sets.join(', ')}${this.compileWhere(ctx)}`;
+    }
+
+    compileDelete(ctx) {
+        return `DELETE FROM ${ctx.id(this.table)}${this.compileWhere(ctx)}`;
+    }
+
+    compile(ctx) {
+        // CTEs come first so their parameters are numbered first
+        const ctes = this._with.map(cte => `${ctx.id(cte.name)} AS (${cte.query.compile(ctx)})`);
+        const prefix = ctes.length > 0 ? `WITH ${ctes.join(', ')} ` : '';
+
+        switch (this._type) {
+            case 'insert': return prefix + this.compileInsert(ctx);
+            case 'update': return prefix + this.compileUpdate(ctx);
+            case 'delete': return prefix + this.compileDelete(ctx);
+            default: return prefix + this.compileSelect(ctx);
+        }
+    }
+
+    toSQL(dialect = 'postgres') {
+        const ctx = new SQLContext(dialect);
+        const text = this.compile(ctx);
+        return { text, params: ctx.params };
+    }
 }
 
 // Usage
 const query = QueryBuilder.from('users')
     .select('id', 'name', 'email')
     .where('status', '=', 'active')
-    .where('age', '>', '18')
+    .where('age', '>', 18)
     .orderBy('name', 'ASC')
     .limit(10)
     .toSQL();
 
 console.log(query);
+// {
+//   text: 'SELECT "id", "name", "email" FROM "users" WHERE "status" = $1 AND "age" > $2 ORDER BY "name" ASC LIMIT 10',
+//   params: ['active', 18]
+// }
 
 // Complex query
 const complexQuery = QueryBuilder.from('orders')
@@ -209,9 +589,113 @@ const complexQuery = QueryBuilder.from('orders')
     .whereIn('orders.category', ['electronics', 'books'])
     .orderBy('orders.created_at', 'DESC')
     .limit(50)
-    .toSQL();
+    .toSQL('mysql');
 
 console.log(complexQuery);
+// text: 'SELECT `orders`.`id`, ... WHERE `orders`.`status` = ? AND `orders`.`category` IN (?, ?) ...'
+// params: ['completed', 'electronics', 'books']
+
+// Plain column names are quoted; expressions pass through as written
+console.log(QueryBuilder.from('orders').select('status', 'COUNT(*) AS total').groupBy('status').toSQL().text);
+// SELECT "status", COUNT(*) AS "total" FROM "orders" GROUP BY "status"
+
+// Injection attempts stay data, never SQL
+const unsafe = QueryBuilder.from('users')
+    .where('name', '=', "' OR '1'='1")
+    .toSQL('sqlite');
+
+console.log(unsafe.text);    // SELECT * FROM "users" WHERE "name" = ?
+console.log(unsafe.params);  // ["' OR '1'='1"]
+
+// Nested condition groups and NULL/BETWEEN checks
+const grouped = QueryBuilder.from('products')
+    .where('active', '=', true)
+    .where(q => q.where('price', '<', 20).orWhere('featured', '=', true))
+    .whereNotNull('published_at')
+    .whereBetween('rating', [3, 5])
+    .toSQL();
+
+console.log(grouped.text);
+// SELECT * FROM "products" WHERE "active" = $1 AND ("price" < $2 OR "featured" = $3)
+//   AND "published_at" IS NOT NULL AND "rating" BETWEEN $4 AND $5
+
+// Aggregates with HAVING, from a CTE
+const bigSpenders = QueryBuilder.from('recent_orders')
+    .with('recent_orders', QueryBuilder.from('orders').where('created_at', '>', '2024-01-01'))
+    .select('user_id', QueryBuilder.sum('total').as('spent'))
+    .groupBy('user_id')
+    .having(QueryBuilder.sum('total'), '>', 1000)
+    .toSQL();
+
+console.log(bigSpenders.text);
+// WITH "recent_orders" AS (SELECT * FROM "orders" WHERE "created_at" > $1)
+//   SELECT "user_id", SUM("total") AS "spent" FROM "recent_orders" GROUP BY "user_id" HAVING SUM("total") > $2
+
+// Subqueries in FROM and WHERE
+const activeBuyers = QueryBuilder.from('users')
+    .whereIn('id', QueryBuilder.from('orders').select('user_id').where('status', '=', 'paid'))
+    .whereExists(q => q.from('sessions').where('sessions.user_id', '=', QueryBuilder.ref('users.id')))
+    .toSQL();
+
+console.log(activeBuyers.text);
+// SELECT * FROM "users" WHERE "id" IN (SELECT "user_id" FROM "orders" WHERE "status" = $1)
+//   AND EXISTS (SELECT * FROM "sessions" WHERE "sessions"."user_id" = "users"."id")
+
+const topCustomers = QueryBuilder
+    .from(QueryBuilder.from('orders').select('user_id', 'total').orderBy('total', 'DESC').limit(100), 't')
+    .select('t.user_id')
+    .toSQL();
+
+console.log(topCustomers.text);
+// SELECT "t"."user_id" FROM (SELECT "user_id", "total" FROM "orders" ORDER BY "total" DESC LIMIT 100) AS "t"
+
+// Writes
+console.log(QueryBuilder.from('users').insert([
+    { name: 'Alice', email: 'alice@example.com' },
+    { name: 'Bob', email: 'bob@example.com' }
+]).toSQL());
+// { text: 'INSERT INTO "users" ("name", "email") VALUES ($1, $2), ($3, $4)', params: [...] }
+
+console.log(QueryBuilder.from('users').update({ status: 'inactive' }).whereNull('last_login').toSQL().text);
+// UPDATE "users" SET "status" = $1 WHERE "last_login" IS NULL
+
+console.log(QueryBuilder.from('sessions').delete().where('expires_at', '<', '2024-01-01').toSQL('mysql').text);
+// DELETE FROM `sessions` WHERE `expires_at` < ?
+
+// Upsert: same intent, dialect-specific syntax
+const upsert = QueryBuilder.from('users').upsert({ email: 'alice@example.com', name: 'Alice' }, ['email']);
+console.log(upsert.toSQL('postgres').text);
+// INSERT INTO "users" ("email", "name") VALUES ($1, $2) ON CONFLICT ("email") DO UPDATE SET "name" = EXCLUDED."name"
+console.log(upsert.toSQL('mysql').text);
+// INSERT INTO `users` (`email`, `name`) VALUES (?, ?) ON DUPLICATE KEY UPDATE `name` = VALUES(`name`)
+
+// Nothing to merge leaves the existing row alone
+console.log(QueryBuilder.from('tags').upsert({ name: 'js' }, ['name']).toSQL().text);
+// INSERT INTO "tags" ("name") VALUES ($1) ON CONFLICT ("name") DO NOTHING
+
+// Empty condition groups are dropped instead of emitting "()"
+console.log(QueryBuilder.from('users').where(q => {}).where('active', '=', true).toSQL().text);
+// SELECT * FROM "users" WHERE "active" = $1
+
+try {
+    QueryBuilder.from('users').insert([]);
+} catch (error) {
+    console.log(error.message);  // insert() requires at least one row
+}
+
+try {
+    QueryBuilder.from('users').where('id', 'IN', 5);
+} catch (error) {
+    console.log(error.message);  // IN needs an array or a subquery, got 5
+}
+
+// HAVING groups collect having()/orHaving() calls
+console.log(QueryBuilder.from('orders')
+    .select('user_id')
+    .groupBy('user_id')
+    .having(q => q.having(QueryBuilder.count(), '>', 5).orHaving(QueryBuilder.sum('total'), '>', 1000))
+    .toSQL().text);
+// SELECT "user_id" FROM "orders" GROUP BY "user_id" HAVING (COUNT(*) > $1 OR SUM("total") > $2)
 
 // -------------------------------------------------------------------------------------------
 // 3. HTTP REQUEST BUILDER
@@ -326,15 +810,161 @@ console.log(request);
 
 /**
  * Building HTML elements programmatically.
+ * One builder tree, three outputs:
+ * - toHTML(): an HTML string with every attribute and text value escaped
+ *   (and script URLs such as javascript: neutralized in href, src, ...)
+ * - toVNode(): a lightweight virtual-DOM tree ({ tag, attrs, style, on, children })
+ * - toDOM(): real DOM nodes with event listeners attached
+ * patch(oldVnode, newVnode) then updates an already rendered subtree in place.
  */
 
+const VOID_ELEMENTS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+const VALID_NAME = /^[a-zA-Z][\w:-]*$/;
+
+function escapeHTML(value) {
+    return String(value)
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
+// Escaping cannot make "javascript:alert(1)" safe in an href, so URL
+// attributes with a script-capable scheme are replaced before rendering
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href']);
+const UNSAFE_URL = /^(?:javascript|vbscript|data):/i;
+const SAFE_DATA_URL = /^data:image\/(?:png|gif|jpeg|webp);base64,/i;
+const BLOCKED_URL = 'about:invalid#blocked';
+
+function safeAttributeValue(name, value) {
+    if (!URL_ATTRIBUTES.has(name.toLowerCase()) || typeof value !== 'string') return value;
+    // Browsers ignore leading spaces/control characters and tabs or newlines inside the scheme
+    const url = value.replace(/^[\u0000-\u0020]+/, '').replace(/[\t\n\r]/g, '');
+    return UNSAFE_URL.test(url) && !SAFE_DATA_URL.test(url) ? BLOCKED_URL : value;
+}
+
+function styleToString(style) {
+    return Object.entries(style).map(([k, v]) => `${k}: ${v}`).join('; ');
+}
+
+// Vnode children are vnodes or strings (text nodes)
+function renderToString(vnode) {
+    if (typeof vnode === 'string') return escapeHTML(vnode);
+
+    let attrs = '';
+    for (const [name, value] of Object.entries(vnode.attrs)) {
+        if (value === false || value === null || value === undefined) continue;
+        attrs += value === true ? ` ${name}` : ` ${name}="${escapeHTML(safeAttributeValue(name, value))}"`;
+    }
+    if (Object.keys(vnode.style).length > 0) {
+        attrs += ` style="${escapeHTML(styleToString(vnode.style))}"`;
+    }
+
+    if (VOID_ELEMENTS.has(vnode.tag)) return `<${vnode.tag}${attrs}>`;
+    return `<${vnode.tag}${attrs}>${vnode.children.map(renderToString).join('')}</${vnode.tag}>`;
+}
+
+function setAttribute(el, name, value) {
+    // Form state lives in properties, not attributes
+    if (name === 'value' || name === 'checked' || name === 'selected') {
+        el[name] = value;
+    } else if (value === false || value === null || value === undefined) {
+        el.removeAttribute(name);
+    } else {
+        el.setAttribute(name, value === true ? '' : safeAttributeValue(name, value));
+    }
+}
+
+function createDOM(vnode, doc = globalThis.document) {
+    if (typeof vnode === 'string') return doc.createTextNode(vnode);
+
+    const el = doc.createElement(vnode.tag);
+    Object.entries(vnode.attrs).forEach(([name, value]) => setAttribute(el, name, value));
+    Object.entries(vnode.style).forEach(([k, v]) => el.style.setProperty(k, v));
+    Object.entries(vnode.on).forEach(([event, handler]) => el.addEventListener(event, handler));
+    vnode.children.forEach(child => el.appendChild(createDOM(child, doc)));
+
+    vnode.el = el;  // Remember the node so patch() can update it later
+    return el;
+}
+
+function isSameNode(a, b) {
+    return typeof a !== 'string' && typeof b !== 'string' && a.tag === b.tag && a.key === b.key;
+}
+
+// Apply the differences between two vnodes to oldVnode.el; returns the element
+function patch(oldVnode, newVnode) {
+    const el = oldVnode.el;
+
+    if (!isSameNode(oldVnode, newVnode)) {
+        const replacement = createDOM(newVnode, el.ownerDocument);
+        el.replaceWith(replacement);
+        return replacement;
+    }
+    newVnode.el = el;
+
+    for (const name of Object.keys(oldVnode.attrs)) {
+        if (!(name in newVnode.attrs)) setAttribute(el, name, null);
+    }
+    for (const [name, value] of Object.entries(newVnode.attrs)) {
+        if (oldVnode.attrs[name] !== value) setAttribute(el, name, value);
+    }
+
+    for (const prop of Object.keys(oldVnode.style)) {
+        if (!(prop in newVnode.style)) el.style.removeProperty(prop);
+    }
+    for (const [prop, value] of Object.entries(newVnode.style)) {
+        if (oldVnode.style[prop] !== value) el.style.setProperty(prop, value);
+    }
+
+    for (const [event, handler] of Object.entries(oldVnode.on)) {
+        if (newVnode.on[event] !== handler) el.removeEventListener(event, handler);
+    }
+    for (const [event, handler] of Object.entries(newVnode.on)) {
+        if (oldVnode.on[event] !== handler) el.addEventListener(event, handler);
+    }
+
+    patchChildren(el, oldVnode.children, newVnode.children);
+    return el;
+}
+
+function patchChildren(el, oldChildren, newChildren) {
+    const common = Math.min(oldChildren.length, newChildren.length);
+
+    for (let i = 0; i < common; i++) {
+        const oldChild = oldChildren[i];
+        const newChild = newChildren[i];
+
+        if (typeof oldChild === 'string' && typeof newChild === 'string') {
+            if (oldChild !== newChild) el.childNodes[i].textContent = newChild;
+        } else if (typeof oldChild === 'string' || typeof newChild === 'string') {
+            el.childNodes[i].replaceWith(createDOM(newChild, el.ownerDocument));
+        } else {
+            patch(oldChild, newChild);
+        }
+    }
+
+    for (let i = common; i < newChildren.length; i++) {
+        el.appendChild(createDOM(newChildren[i], el.ownerDocument));
+    }
+    for (let i = oldChildren.length - 1; i >= common; i--) {
+        el.removeChild(el.childNodes[i]);
+    }
+}
+
 class ElementBuilder {
     constructor(tagName) {
+        if (!VALID_NAME.test(tagName)) {
+            throw new Error(`Invalid tag name: ${tagName}`);
+        }
         this.element = {
             tag: tagName,
+            key: null,
             attributes: {},
             classes: [],
             styles: {},
+            listeners: {},
             children: [],
             text: ''
         };
@@ -349,12 +979,25 @@ class ElementBuilder {
         return this;
     }
 
+    // Identity for patch(): nodes with different keys are replaced, not updated
+    key(key) {
+        this.element.key = key;
+        return this;
+    }
+
     class(...classNames) {
         this.element.classes.push(...classNames);
         return this;
     }
 
     attr(name, value) {
+        if (!VALID_NAME.test(name)) {
+            throw new Error(`Invalid attribute name: ${name}`);
+        }
+        // Inline handlers are strings of code - use on() instead
+        if (/^on/i.test(name)) {
+            throw new Error(`Use on('${name.slice(2)}', handler) instead of the ${name} attribute`);
+        }
         this.element.attributes[name] = value;
         return this;
     }
@@ -364,13 +1007,21 @@ class ElementBuilder {
         return this;
     }
 
+    on(event, handler) {
+        this.element.listeners[event] = handler;
+        return this;
+    }
+
     text(content) {
         this.element.text = content;
         return this;
     }
 
+    // Accepts a builder or a plain string (text node)
     child(elementBuilder) {
-        this.element.children.push(elementBuilder.build());
+        this.element.children.push(
+            typeof elementBuilder === 'string' ? elementBuilder : elementBuilder.build()
+        );
         return this;
     }
 
@@ -383,28 +1034,37 @@ class ElementBuilder {
         return { ...this.element };
     }
 
-    toHTML() {
-        const { tag, attributes, classes, styles, children, text } = this.element;
-        
-        let attrs = '';
-        if (classes.length > 0) {
-            attrs += ` class="${classes.join(' ')}"`;
-        }
-        for (const [key, value] of Object.entries(attributes)) {
-            attrs += ` ${key}="${value}"`;
-        }
-        if (Object.keys(styles).length > 0) {
-            const styleStr = Object.entries(styles)
-                .map(([k, v]) => `${k}: ${v}`)
-                .join('; ');
-            attrs += ` style="${styleStr}"`;
-        }
+    static toVNode(element) {
+        if (typeof element === 'string') return element;
+
+        const { tag, key, attributes, classes, styles, listeners, children, text } = element;
+        // attr('class', ...) and class(...) add up rather than replace each other
+        const { class: classAttr, ...otherAttributes } = attributes;
+        const attrClasses = typeof classAttr === 'string' ? classAttr.split(/\s+/).filter(Boolean) : [];
+        const allClasses = [...new Set([...attrClasses, ...classes])];
+        const attrs = allClasses.length > 0
+            ? { class: allClasses.join(' '), ...otherAttributes }
+            : { ...otherAttributes };
+        return {
+            tag,
+            key,
+            attrs,
+            style: { ...styles },
+            on: { ...listeners },
+            children: [...(text ? [text] : []), ...children.map(ElementBuilder.toVNode)]
+        };
+    }
+
+    toVNode() {
+        return ElementBuilder.toVNode(this.element);
+    }
 
-        const childrenHTML = children
-            .map(c => new ElementBuilder(c.tag).build = () => c)
-            .join('');
+    toHTML() {
+        return renderToString(this.toVNode());
+    }
 
-        return `<${tag}${attrs}>${text}${childrenHTML}</${tag}>`;
+    toDOM(doc = globalThis.document) {
+        return createDOM(this.toVNode(), doc);
     }
 }
 
@@ -426,6 +1086,49 @@ const card = ElementBuilder.create('div')
 
 console.log(JSON.stringify(card, null, 2));
 
+// Untrusted values are escaped in the HTML string
+const comment = ElementBuilder.create('p')
+    .attr('title', '" onmouseover="alert(1)')
+    .text('<script>alert("xss")</script>');
+
+console.log(comment.toHTML());
+// <p title="&quot; onmouseover=&quot;alert(1)">&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;</p>
+
+console.log(ElementBuilder.create('button').class('btn').attr('class', 'btn-primary').toHTML());
+// <button class="btn-primary btn"></button>
+
+// Script URLs are blocked; ordinary links and inline images pass through
+console.log(ElementBuilder.create('a').attr('href', ' java\tscript:alert(1)').text('profile').toHTML());
+// <a href="about:invalid#blocked">profile</a>
+console.log(ElementBuilder.create('img').attr('src', 'data:image/png;base64,iVBORw0KGgo=').toHTML());
+// <img src="data:image/png;base64,iVBORw0KGgo=">
+
+// A small widget: render once, then patch in place on each state change
+function counterView(count, onIncrement) {
+    return ElementBuilder.create('div')
+        .class('counter')
+        .child(ElementBuilder.create('span').class(count > 9 ? 'big' : 'small').text(`Count: ${count}`))
+        .child(ElementBuilder.create('button').attr('type', 'button').on('click', onIncrement).text('+1'))
+        .toVNode();
+}
+
+console.log(counterView(0, () => {}).children[0]);
+// { tag: 'span', key: null, attrs: { class: 'small' }, style: {}, on: {}, children: [ 'Count: 0' ] }
+
+if (typeof document !== 'undefined') {
+    let count = 0;
+    let vnode;
+    const increment = () => {
+        count++;
+        const next = counterView(count, increment);
+        patch(vnode, next);  // Only the span's text and class change
+        vnode = next;
+    };
+
+    vnode = counterView(count, increment);
+    document.body.appendChild(createDOM(vnode));
+}
+
 // -------------------------------------------------------------------------------------------
 // 5. CONFIGURATION BUILDER
 // -------------------------------------------------------------------------------------------
@@ -637,6 +1340,45 @@ class FormBuilder {
         return this;
     }
 
+    // Sync or async: (value, values) => error message, or null when valid
+    validate(validator) {
+        const lastField = this.form.fields[this.form.fields.length - 1];
+        if (lastField) {
+            const rules = this.form.validationRules[lastField.name] || {};
+            this.form.validationRules[lastField.name] = {
+                ...rules,
+                validators: [...(rules.validators || []), validator]
+            };
+        }
+        return this;
+    }
+
+    // Conditional field: only shown (and validated/submitted) when
+    // another field has the given value
+    showWhen(fieldName, equals) {
+        const lastField = this.form.fields[this.form.fields.length - 1];
+        if (lastField) {
+            lastField.showWhen = { field: fieldName, equals };
+        }
+        return this;
+    }
+
+    // Repeating group of fields; each item config may set required/min/max
+    fieldArray(name, label, itemFields) {
+        this.field({ name, label, type: 'array' });
+        const lastField = this.form.fields[this.form.fields.length - 1];
+        lastField.fields = itemFields.map(config => ({
+            name: config.name,
+            type: config.type || 'text',
+            label: config.label || config.name,
+            placeholder: config.placeholder || '',
+            required: config.required || false,
+            options: config.options || [],
+            rules: { required: config.required || false, min: config.min, max: config.max }
+        }));
+        return this;
+    }
+
     onSubmit(handler) {
         this.form.submitHandler = handler;
         return this;
@@ -760,6 +1502,1660 @@ const builder4 = builder3.merge({ debug: true, timeout: 5000 });
 console.log(builder1.build());  // {}
 console.log(builder4.build());  // { host: 'localhost', port: 3000, debug: true, timeout: 5000 }
 
+// -------------------------------------------------------------------------------------------
+// 9. IN-MEMORY QUERY EXECUTOR (SAME BUILDER, ANOTHER REPRESENTATION)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The same QueryBuilder state can be turned into SQL text OR evaluated
+ * directly against arrays of objects keyed by table name. Tests can then
+ * run production queries against fixtures without a database.
+ * - Supports FROM (tables, subqueries, CTEs), INNER/LEFT joins, WHERE
+ *   (groups, IN, BETWEEN, NULL, EXISTS, correlated subqueries), GROUP BY
+ *   with aggregates, HAVING, ORDER BY, LIMIT and OFFSET
+ * - Follows SQL semantics: AND binds tighter than OR, comparisons with
+ *   NULL are UNKNOWN (so "x NOT IN (1, NULL)" matches nothing), only TRUE
+ *   passes WHERE/HAVING/ON, NULLs sort last ascending
+ * - Raw SQL fragments cannot be evaluated and throw
+ */
+
+// Row marker: names of LEFT JOIN sources that matched nothing for this row,
+// so their columns read as NULL even when the table has no rows to list them
+const NULL_EXTENDED = Symbol('nullExtended');
+
+class InMemoryQueryExecutor {
+    constructor(tables) {
+        this.tables = tables;
+    }
+
+    // outer: row of the enclosing query, for correlated subqueries
+    run(query, env = { tables: this.tables, outer: {} }) {
+        if (query._type !== 'select') {
+            throw new Error(`Only SELECT runs in memory, got ${query._type.toUpperCase()}`);
+        }
+
+        // CTEs become tables visible to this query and its subqueries
+        env = { ...env, tables: { ...env.tables } };
+        for (const cte of query._with) {
+            env.tables[cte.name] = this.run(cte.query, env);
+        }
+
+        let rows = this.source(query.table, query.alias, env).rows;
+        for (const join of query._joins) {
+            rows = this.join(rows, join, env);
+        }
+        rows = rows.filter(row => this.test(query._where, { row, rows: [row] }, env));
+
+        const aggregated = query._groupBy.length > 0 ||
+            query._select.some(column => column instanceof SQLAggregate);
+        let items = aggregated
+            ? this.group(query._groupBy, rows, env)
+            : rows.map(row => ({ row, rows: [row] }));
+
+        items = items.filter(item => this.test(query._having, item, env));
+        items.forEach(item => {
+            item.output = this.project(query._select, item, env);
+        });
+
+        for (const { column, direction } of [...query._orderBy].reverse()) {
+            const sign = direction.toUpperCase() === 'DESC' ? -1 : 1;
+            items.sort((a, b) => sign * compareForSort(
+                this.sortValue(column, a, env),
+                this.sortValue(column, b, env)
+            ));
+        }
+
+        const start = query._offset ?? 0;
+        const end = query._limit === null ? undefined : start + query._limit;
+        return items.slice(start, end).map(item => item.output);
+    }
+
+    // Rows are flattened to { 'alias.column': value } so joins cannot clash
+    source(table, alias, env) {
+        let name = alias;
+        let rows;
+
+        if (table instanceof QueryBuilder) {
+            if (!alias) {
+                throw new Error('A subquery in FROM needs an alias');
+            }
+            rows = this.run(table, env);
+        } else {
+            const [, tableName, tableAlias] = table.match(/^(.+?)(?:\s+AS\s+(.+))?$/i);
+            if (!(tableName in env.tables)) {
+                throw new Error(`Unknown table: ${tableName}`);
+            }
+            rows = env.tables[tableName];
+            name = name ?? tableAlias ?? tableName;
+        }
+
+        const qualified = rows.map(row => Object.fromEntries(
+            Object.entries(row).map(([key, value]) => [`${name}.${key}`, value])
+        ));
+        const columns = [...new Set(qualified.flatMap(row => Object.keys(row)))];
+        return { name, rows: qualified, columns };
+    }
+
+    join(rows, join, env) {
+        const right = this.source(join.table, null, env);
+        const result = [];
+
+        for (const left of rows) {
+            const matches = right.rows
+                .map(row => ({ ...left, ...row }))
+                .filter(row => compareValues(
+                    this.resolve(join.leftCol, row, env),
+                    join.operator.toUpperCase(),
+                    this.resolve(join.rightCol, row, env)
+                ) === true);
+
+            if (matches.length > 0) {
+                result.push(...matches);
+            } else if (join.type === 'LEFT') {
+                result.push({
+                    ...left,
+                    ...Object.fromEntries(right.columns.map(c => [c, null])),
+                    [NULL_EXTENDED]: [...(left[NULL_EXTENDED] ?? []), right.name]
+                });
+            }
+        }
+        return result;
+    }
+
+    group(columns, rows, env) {
+        const groups = new Map();
+        for (const row of rows) {
+            const key = JSON.stringify(columns.map(column => this.resolve(column, row, env)));
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        }
+
+        // Aggregates without GROUP BY return one row, even for no input
+        if (groups.size === 0 && columns.length === 0) {
+            groups.set('[]', []);
+        }
+        return [...groups.values()].map(group => ({ row: group[0] ?? {}, rows: group }));
+    }
+
+    project(select, item, env) {
+        const output = {};
+
+        for (const column of select) {
+            if (column instanceof SQLAggregate) {
+                output[column.alias ?? column.fn.toLowerCase()] = this.aggregate(column, item.rows, env);
+                continue;
+            }
+            if (column instanceof RawSQL) {
+                throw new Error(`Raw SQL cannot run in memory: ${column.sql}`);
+            }
+
+            const [, expr, alias] = column.match(/^(.+?)(?:\s+AS\s+(.+))?$/i);
+            if (expr === '*' || expr.endsWith('.*')) {
+                // Joined tables may share column names (users.id, orders.id):
+                // those keep their qualified name instead of overwriting each other
+                const prefix = expr.slice(0, -1);
+                const keys = Object.keys(item.row).filter(key => key.startsWith(prefix));
+                const shortName = key => key.slice(key.lastIndexOf('.') + 1);
+                const counts = new Map();
+                keys.forEach(key => counts.set(shortName(key), (counts.get(shortName(key)) ?? 0) + 1));
+                for (const key of keys) {
+                    output[counts.get(shortName(key)) > 1 ? key : shortName(key)] = item.row[key];
+                }
+                continue;
+            }
+            output[alias ?? expr.slice(expr.lastIndexOf('.') + 1)] = this.resolve(expr, item.row, env);
+        }
+        return output;
+    }
+
+    aggregate({ fn, column }, rows, env) {
+        const values = column === '*'
+            ? rows.map(() => 1)
+            : rows.map(row => this.resolve(column, row, env)).filter(v => v !== null && v !== undefined);
+
+        if (fn === 'COUNT') return values.length;
+        if (values.length === 0) return null;
+
+        switch (fn) {
+            case 'SUM': return values.reduce((a, b) => a + b, 0);
+            case 'AVG': return values.reduce((a, b) => a + b, 0) / values.length;
+            case 'MIN': return values.reduce((a, b) => (b < a ? b : a));
+            case 'MAX': return values.reduce((a, b) => (b > a ? b : a));
+            default: throw new Error(`Unknown aggregate: ${fn}`);
+        }
+    }
+
+    // "users.name" matches exactly, "name" must match one qualified key
+    resolve(column, row, env) {
+        if (column instanceof ColumnRef) return this.resolve(column.column, row, env);
+        if (column instanceof RawSQL) {
+            throw new Error(`Raw SQL cannot run in memory: ${column.sql}`);
+        }
+
+        for (const scope of [row, env.outer]) {
+            if (column in scope) return scope[column];
+            const matches = Object.keys(scope).filter(key => key.endsWith(`.${column}`));
+            if (matches.length > 1) {
+                throw new Error(`Ambiguous column: ${column}`);
+            }
+            if (matches.length === 1) return scope[matches[0]];
+        }
+
+        // A LEFT JOIN against an empty table has no keys to match, but its
+        // columns still exist and are NULL
+        const extended = row[NULL_EXTENDED] ?? [];
+        const table = column.includes('.') ? column.slice(0, column.lastIndexOf('.')) : null;
+        if (table === null ? extended.length > 0 : extended.includes(table)) return null;
+        throw new Error(`Unknown column: ${column}`);
+    }
+
+    columnValue(column, item, env) {
+        return column instanceof SQLAggregate
+            ? this.aggregate(column, item.rows, env)
+            : this.resolve(column, item.row, env);
+    }
+
+    // ORDER BY may use output aliases as well as source columns
+    sortValue(column, item, env) {
+        if (typeof column === 'string' && column in item.output) return item.output[column];
+        return this.columnValue(column, item, env);
+    }
+
+    subquery(query, item, env) {
+        const builder = typeof query === 'function'
+            ? (() => { const b = new QueryBuilder(null); query(b); return b; })()
+            : query;
+        return this.run(builder, { tables: env.tables, outer: { ...env.outer, ...item.row } });
+    }
+
+    // Only TRUE passes; FALSE and UNKNOWN (null) both filter the row out
+    test(conditions, item, env) {
+        return this.evaluate(conditions, item, env) === true;
+    }
+
+    // AND binds tighter than OR: "a AND b OR c" is "(a AND b) OR c".
+    // Empty groups are skipped, as compileConditions() leaves them out.
+    evaluate(conditions, item, env) {
+        let anyBranch = false;
+        let branch = true;
+        conditions.filter(c => !isEmptyGroup(c)).forEach((condition, i) => {
+            if (i > 0 && condition.type === 'OR') {
+                anyBranch = or3(anyBranch, branch);
+                branch = true;
+            }
+            branch = and3(branch, this.condition(condition, item, env));
+        });
+        return or3(anyBranch, branch);
+    }
+
+    condition(c, item, env) {
+        switch (c.kind) {
+            case 'group':
+                return this.evaluate(c.conditions, item, env);
+            case 'exists':
+                return (this.subquery(c.query, item, env).length > 0) !== c.not;
+            case 'null': {
+                const value = this.columnValue(c.column, item, env);
+                return (value === null || value === undefined) !== c.not;
+            }
+            case 'between': {
+                const value = this.columnValue(c.column, item, env);
+                if (value === null || value === undefined) return null;
+                return (value >= c.low && value <= c.high) !== c.not;
+            }
+        }
+
+        const operator = c.operator.toUpperCase();
+        const left = this.columnValue(c.column, item, env);
+        let right = c.value;
+
+        if (right instanceof QueryBuilder) {
+            const rows = this.subquery(right, item, env).map(row => Object.values(row)[0]);
+            right = operator.endsWith('IN') ? rows : (rows[0] ?? null);
+        } else if (right instanceof ColumnRef || right instanceof RawSQL) {
+            right = this.resolve(right, item.row, env);
+        }
+        return compareValues(left, operator, right);
+    }
+}
+
+// SQL three-valued logic: true, false, or null for UNKNOWN
+function and3(a, b) {
+    if (a === false || b === false) return false;
+    return a === null || b === null ? null : true;
+}
+
+function or3(a, b) {
+    if (a === true || b === true) return true;
+    return a === null || b === null ? null : false;
+}
+
+function isEmptyGroup(condition) {
+    return condition.kind === 'group' && condition.conditions.every(isEmptyGroup);
+}
+
+function compareValues(left, operator, right) {
+    const isNull = value => value === null || value === undefined;
+    if (operator === 'IN' || operator === 'NOT IN') {
+        if (!Array.isArray(right)) {
+            throw new Error(`${operator} needs an array or a subquery, got ${JSON.stringify(right)}`);
+        }
+        // Matches the SQL compiled for empty lists: 1 = 0 and 1 = 1
+        if (right.length === 0) return operator === 'NOT IN';
+        // "x IN (1, NULL)" is TRUE when x = 1, otherwise UNKNOWN, never FALSE
+        let found = isNull(left) ? null : right.includes(left);
+        if (found === false && right.some(isNull)) found = null;
+        return operator === 'IN' || found === null ? found : !found;
+    }
+    if (isNull(left) || isNull(right)) return null;
+
+    switch (operator) {
+        case '=': return left === right;
+        case '!=':
+        case '<>': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case 'LIKE':
+        case 'NOT LIKE': {
+            const pattern = String(right)
+                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                .replaceAll('%', '.*')
+                .replaceAll('_', '.');
+            return new RegExp(`^${pattern}$`, 's').test(String(left)) === (operator === 'LIKE');
+        }
+        default:
+            throw new Error(`Unsupported operator: ${operator}`);
+    }
+}
+
+function compareForSort(a, b) {
+    const aNull = a === null || a === undefined;
+    const bNull = b === null || b === undefined;
+    if (aNull || bNull) return aNull === bNull ? 0 : aNull ? 1 : -1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Usage
+const fixtures = {
+    users: [
+        { id: 1, name: 'Alice', country: 'DE' },
+        { id: 2, name: 'Bob', country: 'US' },
+        { id: 3, name: 'Carol', country: 'US' }
+    ],
+    orders: [
+        { id: 10, user_id: 1, total: 120, status: 'paid' },
+        { id: 11, user_id: 1, total: 80, status: 'paid' },
+        { id: 12, user_id: 2, total: 300, status: 'paid' },
+        { id: 13, user_id: 2, total: 50, status: 'refunded' },
+        { id: 14, user_id: 3, total: 20, status: 'paid' }
+    ]
+};
+
+const revenueByUser = QueryBuilder.from('users')
+    .select('users.name', QueryBuilder.count().as('orders'), QueryBuilder.sum('orders.total').as('revenue'))
+    .join('orders', 'orders.user_id', '=', 'users.id')
+    .where('orders.status', '=', 'paid')
+    .groupBy('users.name')
+    .having(QueryBuilder.sum('orders.total'), '>=', 100)
+    .orderBy('revenue', 'DESC')
+    .limit(10);
+
+console.log(revenueByUser.toSQL().text);
+// SELECT "users"."name", COUNT(*) AS "orders", SUM("orders"."total") AS "revenue" FROM "users"
+//   INNER JOIN "orders" ON "orders"."user_id" = "users"."id" WHERE "orders"."status" = $1
+//   GROUP BY "users"."name" HAVING SUM("orders"."total") >= $2 ORDER BY "revenue" DESC LIMIT 10
+
+const db = new InMemoryQueryExecutor(fixtures);
+console.log(db.run(revenueByUser));
+// [ { name: 'Bob', orders: 1, revenue: 300 }, { name: 'Alice', orders: 2, revenue: 200 } ]
+
+// Correlated subquery and LEFT JOIN behave like SQL
+console.log(db.run(
+    QueryBuilder.from('users')
+        .select('name')
+        .whereNotExists(q => q.from('orders')
+            .where('orders.user_id', '=', QueryBuilder.ref('users.id'))
+            .where('status', '=', 'refunded'))
+        .orderBy('name')
+));
+// [ { name: 'Alice' }, { name: 'Carol' } ]
+
+console.log(db.run(
+    QueryBuilder.from('users')
+        .select('users.name', 'orders.id AS order_id')
+        .leftJoin('orders', 'orders.user_id', '=', 'users.id')
+        .where(q => q.whereNull('orders.id').orWhere('orders.total', '>', 250))
+));
+// [ { name: 'Bob', order_id: 12 } ]
+
+// A LEFT JOIN to an empty table still yields NULL columns
+console.log(new InMemoryQueryExecutor({ ...fixtures, orders: [] }).run(
+    QueryBuilder.from('users')
+        .select('users.name', 'orders.total')
+        .leftJoin('orders', 'orders.user_id', '=', 'users.id')
+));
+// [ { name: 'Alice', total: null }, { name: 'Bob', total: null }, { name: 'Carol', total: null } ]
+
+// SELECT * over a join keeps both "id" columns, qualified
+console.log(db.run(
+    QueryBuilder.from('users').join('orders', 'orders.user_id', '=', 'users.id').where('orders.id', '=', 10)
+)[0]);
+// { 'users.id': 1, name: 'Alice', country: 'DE', 'orders.id': 10, user_id: 1, total: 120, status: 'paid' }
+
+// NOT IN against a list holding NULL is never TRUE, as in SQL
+console.log(db.run(QueryBuilder.from('users').select('name').where('id', 'NOT IN', [1, null])));
+// []
+
+// -------------------------------------------------------------------------------------------
+// 10. EXECUTING REQUEST BUILDER (TRANSPORTS AND INTERCEPTORS)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * RequestBuilder above only produces a config object. Here the builder
+ * gets a send() that runs the request through an HttpClient:
+ * - Pluggable transport: fetch in production, a mock for tests
+ * - Request interceptors edit the config, response interceptors edit the
+ *   parsed response (auth headers, logging, envelope unwrapping)
+ * - Query strings are encoded with URLSearchParams (arrays repeat the key)
+ * - Bodies: JSON, FormData (browser sets the multipart boundary), streams
+ * - Response body is parsed by Content-Type unless as(type) overrides it
+ * - Retries (network errors, timeouts, 5xx) back off exponentially; a
+ *   caller's AbortSignal is combined with the timeout, and the two failures
+ *   are told apart by RequestError.code ('TIMEOUT' or 'ABORTED')
+ */
+
+class HttpError extends Error {
+    constructor(response) {
+        super(`Request failed with status ${response.status}`);
+        this.name = 'HttpError';
+        this.response = response;
+    }
+}
+
+class RequestError extends Error {
+    constructor(message, code, cause) {
+        super(message, { cause });
+        this.name = 'RequestError';
+        this.code = code;
+    }
+}
+
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class InterceptorChain {
+    constructor() {
+        this.handlers = [];
+    }
+
+    use(handler) {
+        this.handlers.push(handler);
+        return () => {
+            this.handlers = this.handlers.filter(h => h !== handler);
+        };
+    }
+
+    async run(value) {
+        for (const handler of this.handlers) {
+            value = await handler(value);
+        }
+        return value;
+    }
+}
+
+function encodeQuery(params) {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value === null || value === undefined) continue;
+        const values = Array.isArray(value) ? value : [value];
+        values.forEach(v => search.append(key, v instanceof Date ? v.toISOString() : String(v)));
+    }
+    return search.toString();
+}
+
+async function parseBody(response, type = 'auto') {
+    if (type === 'stream') return response.body;
+    if (type !== 'auto') return response[type]();
+    if (response.status === 204) return null;
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('json')) return response.json();
+    if (contentType.startsWith('text/')) return response.text();
+    if (contentType.startsWith('multipart/form-data') ||
+        contentType.startsWith('application/x-www-form-urlencoded')) {
+        return response.formData();
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+function fetchTransport(fetchImpl = globalThis.fetch) {
+    return (request) => fetchImpl(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: request.signal,
+        // Streaming request bodies must opt into half-duplex
+        ...(request.body instanceof ReadableStream && { duplex: 'half' })
+    });
+}
+
+// Routes reply with { status, json } / { status, body, headers } / a Response
+function createMockTransport() {
+    const routes = [];
+
+    const transport = async (request) => {
+        transport.calls.push(request);
+        const url = new URL(request.url, 'http://mock.local');
+        const route = routes.find(r => r.method === request.method && r.path === url.pathname);
+        if (!route) {
+            return new Response('Not Found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+        }
+
+        // Like fetch, an aborted signal rejects even if the handler ignores it
+        const reply = await new Promise((resolve, reject) => {
+            request.signal?.addEventListener('abort', () => reject(request.signal.reason), { once: true });
+            Promise.resolve(route.handler({ ...request, query: url.searchParams })).then(resolve, reject);
+        });
+        if (reply instanceof Response) return reply;
+        if ('json' in reply) {
+            return Response.json(reply.json, { status: reply.status ?? 200, headers: reply.headers });
+        }
+        return new Response(reply.body ?? null, { status: reply.status ?? 200, headers: reply.headers });
+    };
+
+    transport.calls = [];
+    transport.on = (method, path, handler) => {
+        routes.push({ method, path, handler });
+        return transport;
+    };
+    return transport;
+}
+
+class HttpClient {
+    constructor({ baseUrl = '', transport = fetchTransport() } = {}) {
+        this.baseUrl = baseUrl;
+        this.transport = transport;
+        this.interceptors = {
+            request: new InterceptorChain(),
+            response: new InterceptorChain()
+        };
+    }
+
+    request() {
+        return new SendableRequestBuilder(this);
+    }
+
+    async dispatch(request) {
+        if (request.signal?.aborted) {
+            throw new RequestError('Request was aborted', 'ABORTED', request.signal.reason);
+        }
+        const timeout = AbortSignal.timeout(request.timeout);
+        const signal = request.signal ? AbortSignal.any([request.signal, timeout]) : timeout;
+        try {
+            return await this.transport({ ...request, signal });
+        } catch (error) {
+            if (request.signal?.aborted) {
+                throw new RequestError('Request was aborted', 'ABORTED', request.signal.reason);
+            }
+            if (timeout.aborted) {
+                throw new RequestError(`Request timed out after ${request.timeout}ms`, 'TIMEOUT', error);
+            }
+            throw error;
+        }
+    }
+
+    // Waits retryBackoff, 2x, 4x... between attempts; aborting stops the wait
+    async backoff(request, attempt) {
+        try {
+            await delay(request.retryBackoff * 2 ** attempt, request.signal);
+        } catch (error) {
+            throw new RequestError('Request was aborted', 'ABORTED', error);
+        }
+    }
+
+    async send(config) {
+        const request = await this.interceptors.request.run({ ...config, headers: { ...config.headers } });
+
+        // A stream body can only be read once, so it is never retried
+        const retries = request.body instanceof ReadableStream ? 0 : request.retries;
+
+        for (let attempt = 0; ; attempt++) {
+            let raw;
+            try {
+                raw = await this.dispatch(request);
+            } catch (error) {
+                if (error.code === 'ABORTED' || attempt >= retries) throw error;
+                await this.backoff(request, attempt);
+                continue;
+            }
+            if (raw.status >= 500 && attempt < retries) {
+                await raw.body?.cancel();  // Release the unread body
+                await this.backoff(request, attempt);
+                continue;
+            }
+
+            const response = await this.interceptors.response.run({
+                status: raw.status,
+                ok: raw.ok,
+                headers: raw.headers,
+                data: await parseBody(raw, request.responseType),
+                request
+            });
+            if (!response.ok) {
+                throw new HttpError(response);
+            }
+            return response;
+        }
+    }
+}
+
+class SendableRequestBuilder extends RequestBuilder {
+    constructor(client) {
+        super(client.baseUrl);
+        this.client = client;
+        this.config.query = {};
+        this.config.responseType = 'auto';
+        this.config.retryBackoff = 100;
+        this.config.signal = null;
+    }
+
+    retry(count, backoff = this.config.retryBackoff) {
+        this.config.retryBackoff = backoff;
+        return super.retry(count);
+    }
+
+    // Cancels the request (and any pending retry) when the signal aborts
+    signal(abortSignal) {
+        this.config.signal = abortSignal;
+        return this;
+    }
+
+    query(params) {
+        Object.assign(this.config.query, params);
+        return this;
+    }
+
+    // Accepts a FormData or a plain object of fields
+    formData(data) {
+        if (data instanceof FormData) {
+            this.config.body = data;
+        } else {
+            const form = new FormData();
+            Object.entries(data).forEach(([key, value]) => form.append(key, value));
+            this.config.body = form;
+        }
+        delete this.config.headers['Content-Type'];
+        return this;
+    }
+
+    stream(readable, contentType = 'application/octet-stream') {
+        this.config.body = readable;
+        this.config.headers['Content-Type'] = contentType;
+        return this;
+    }
+
+    // 'auto' | 'json' | 'text' | 'formData' | 'blob' | 'arrayBuffer' | 'stream'
+    as(responseType) {
+        this.config.responseType = responseType;
+        return this;
+    }
+
+    build() {
+        const { query, ...config } = super.build();
+        const queryString = encodeQuery(query);
+        if (queryString) {
+            config.url += (config.url.includes('?') ? '&' : '?') + queryString;
+        }
+        return config;
+    }
+
+    send() {
+        return this.client.send(this.build());
+    }
+
+    execute() {
+        return this.send();
+    }
+}
+
+// Usage: the same code runs against fetch or, in tests, a mock transport
+const mockApi = createMockTransport()
+    .on('GET', '/users', ({ query, headers }) => ({
+        json: {
+            data: [{ id: 1, name: 'Alice' }],
+            page: Number(query.get('page')),
+            tags: query.getAll('tag'),
+            authorized: headers.Authorization === 'Bearer secret'
+        }
+    }))
+    .on('POST', '/avatars', ({ body }) => ({
+        status: 201,
+        body: `stored ${body.get('file').name}`,
+        headers: { 'Content-Type': 'text/plain' }
+    }))
+    .on('POST', '/logs', async ({ body }) => ({
+        json: { received: await new Response(body).text() }
+    }))
+    .on('GET', '/flaky', () => {
+        const failing = mockApi.calls.filter(call => call.url.endsWith('/flaky')).length < 3;
+        return failing ? { status: 503, json: { error: 'busy' } } : { json: { ok: true } };
+    })
+    .on('GET', '/slow', () => new Promise(resolve => setTimeout(() => resolve({ json: {} }), 100)));
+
+const api = new HttpClient({ baseUrl: 'https://api.example.com', transport: mockApi });
+// Production: new HttpClient({ baseUrl: 'https://api.example.com' }) uses fetch
+
+api.interceptors.request.use(config => {
+    config.headers.Authorization = 'Bearer secret';
+    return config;
+});
+api.interceptors.response.use(response => {
+    // Unwrap { data } envelopes
+    if (response.data && typeof response.data === 'object' && 'data' in response.data) {
+        return { ...response, meta: response.data, data: response.data.data };
+    }
+    return response;
+});
+
+(async () => {
+    const users = await api.request()
+        .get('/users')
+        .query({ page: 2, tag: ['admin', 'staff'], search: null })
+        .send();
+    console.log(users.request.url);  // https://api.example.com/users?page=2&tag=admin&tag=staff
+    console.log(users.data);         // [ { id: 1, name: 'Alice' } ]
+    console.log(users.meta.page, users.meta.tags, users.meta.authorized);  // 2 [ 'admin', 'staff' ] true
+
+    const upload = await api.request()
+        .post('/avatars')
+        .formData({ file: new File(['png-bytes'], 'me.png', { type: 'image/png' }) })
+        .send();
+    console.log(upload.status, upload.data);  // 201 stored me.png
+
+    const logStream = new ReadableStream({
+        start(controller) {
+            controller.enqueue(new TextEncoder().encode('line 1\nline 2'));
+            controller.close();
+        }
+    });
+    const logs = await api.request().post('/logs').stream(logStream, 'text/plain').send();
+    console.log(logs.data);  // { received: 'line 1\nline 2' }
+
+    await api.request().get('/missing').send()
+        .catch(error => console.log(error.name, error.response.status, error.response.data));
+    // HttpError 404 Not Found
+
+    // Two 503s, retried after 10ms and 20ms
+    const flaky = await api.request().get('/flaky').retry(3, 10).send();
+    console.log(flaky.data);  // { ok: true }
+
+    await api.request().get('/slow').timeout(20).send()
+        .catch(error => console.log(error.name, error.code));  // RequestError TIMEOUT
+
+    const cancel = new AbortController();
+    setTimeout(() => cancel.abort(), 20);
+    await api.request().get('/slow').signal(cancel.signal).send()
+        .catch(error => console.log(error.name, error.code));  // RequestError ABORTED
+
+    // Already aborted: fails at once, without calling the transport or retrying
+    const callsBefore = mockApi.calls.length;
+    await api.request().get('/flaky').retry(2, 300).signal(AbortSignal.abort()).send()
+        .catch(error => console.log(error.code, mockApi.calls.length - callsBefore));  // ABORTED 0
+})();
+
+// -------------------------------------------------------------------------------------------
+// 11. SCHEMA-VALIDATED, LAYERED CONFIGURATION
+// -------------------------------------------------------------------------------------------
+
+/**
+ * AppConfigBuilder and ImmutableConfigBuilder assemble objects but never
+ * check them. This builder adds:
+ * - A declared schema: type, required, default, enum, min/max per field
+ * - build() validates everything and lists EVERY violation at once
+ * - Layers deep-merged in order: schema defaults -> file -> env -> overrides
+ * - Source tracking: explain('server.port') says which layer set a value
+ */
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A field spec has a string "type"; any other object is a nested section
+const isFieldSpec = spec => isPlainObject(spec) && typeof spec.type === 'string';
+
+class ConfigValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigValidationError';
+        this.errors = errors;
+    }
+}
+
+function deepFreeze(obj) {
+    Object.freeze(obj);
+    for (const key of Object.keys(obj)) {
+        const value = obj[key];
+        if (value && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    }
+    return obj;
+}
+
+function schemaDefaults(schema) {
+    const defaults = {};
+    for (const [key, spec] of Object.entries(schema)) {
+        if (!isFieldSpec(spec)) {
+            const nested = schemaDefaults(spec);
+            if (Object.keys(nested).length > 0) defaults[key] = nested;
+        } else if ('default' in spec) {
+            defaults[key] = structuredClone(spec.default);
+        }
+    }
+    return defaults;
+}
+
+function specAt(schema, path) {
+    let spec = schema;
+    for (const key of path) {
+        spec = spec?.[key];
+        if (isFieldSpec(spec)) return spec;
+    }
+    return null;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return isPlainObject(value);
+        default: return typeof value === type;
+    }
+}
+
+// describe(path) adds context to messages, e.g. " from env"
+function validateConfig(config, schema, describe = () => '') {
+    const errors = [];
+
+    const walk = (section, specs, prefix) => {
+        for (const [key, spec] of Object.entries(specs)) {
+            const path = prefix + key;
+            const value = section[key];
+            const got = () => `got ${JSON.stringify(value)}${describe(path)}`;
+
+            if (!isFieldSpec(spec)) {
+                if (value !== undefined && !isPlainObject(value)) {
+                    errors.push(`${path}: must be an object (${got()})`);
+                } else {
+                    walk(value ?? {}, spec, `${path}.`);
+                }
+                continue;
+            }
+
+            if (value === undefined || value === null) {
+                if (spec.required) errors.push(`${path}: is required`);
+                continue;
+            }
+            if (!matchesType(value, spec.type)) {
+                errors.push(`${path}: must be ${spec.type} (${got()})`);
+                continue;
+            }
+            if (spec.enum && !spec.enum.includes(value)) {
+                errors.push(`${path}: must be one of ${spec.enum.join(', ')} (${got()})`);
+            }
+            if (spec.min !== undefined && value < spec.min) {
+                errors.push(`${path}: must be >= ${spec.min} (${got()})`);
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                errors.push(`${path}: must be <= ${spec.max} (${got()})`);
+            }
+        }
+
+        // Typos in config files should not pass silently
+        for (const key of Object.keys(section)) {
+            if (!(key in specs)) errors.push(`${prefix}${key}: unknown key${describe(prefix + key)}`);
+        }
+    };
+
+    walk(config, schema, '');
+    return errors;
+}
+
+// Environment variables are strings; use the schema to convert them
+function coerceEnvValue(raw, spec) {
+    switch (spec?.type) {
+        case 'number':
+        case 'integer':
+            return raw.trim() === '' ? raw : Number(raw);
+        case 'boolean':
+            if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+            return raw;
+        case 'array':
+            return raw.startsWith('[') ? JSON.parse(raw) : raw.split(',').map(item => item.trim());
+        case 'object':
+            return JSON.parse(raw);
+        default:
+            return raw;
+    }
+}
+
+class LayeredConfigBuilder {
+    constructor(schema) {
+        this.schema = schema;
+        this.layers = [];
+        this.sources = new Map();  // path -> [{ layer, value }] in merge order
+    }
+
+    static create(schema) {
+        return new LayeredConfigBuilder(schema);
+    }
+
+    layer(name, values) {
+        this.layers.push({ name, values });
+        return this;
+    }
+
+    // contents: parsed object or JSON text. Malformed JSON is reported by
+    // build() with the other violations, like malformed env values
+    file(name, contents) {
+        if (typeof contents !== 'string') return this.layer(name, contents);
+        try {
+            return this.layer(name, JSON.parse(contents));
+        } catch (error) {
+            this.layers.push({ name, values: {}, errors: [`${name}: invalid JSON (${error.message})`] });
+            return this;
+        }
+    }
+
+    // APP_SERVER__PORT=8080 -> server.port = 8080, APP_DB__MAX_CONN -> db.maxConn
+    env(vars, { prefix = 'APP_', separator = '__', name = 'env' } = {}) {
+        const values = {};
+        const errors = [];
+        for (const [key, raw] of Object.entries(vars)) {
+            if (!key.startsWith(prefix) || raw === undefined) continue;
+
+            const path = key.slice(prefix.length).split(separator).map(segment =>
+                segment.toLowerCase().replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase())
+            );
+            let target = values;
+            path.slice(0, -1).forEach(segment => {
+                target = target[segment] ??= {};
+            });
+            try {
+                target[path[path.length - 1]] = coerceEnvValue(raw, specAt(this.schema, path));
+            } catch (error) {
+                // Malformed JSON is reported by build() alongside the other violations
+                errors.push(`${path.join('.')}: invalid JSON in ${key} (${error.message})`);
+            }
+        }
+        this.layers.push({ name, values, errors });
+        return this;
+    }
+
+    overrides(values) {
+        return this.layer('overrides', values);
+    }
+
+    merge(target, source, layer, prefix) {
+        const result = { ...target };
+        for (const [key, value] of Object.entries(source)) {
+            if (value === undefined) continue;
+            const path = prefix + key;
+
+            if (isPlainObject(value)) {
+                result[key] = this.merge(isPlainObject(result[key]) ? result[key] : {}, value, layer, `${path}.`);
+            } else {
+                result[key] = value;
+                if (!this.sources.has(path)) this.sources.set(path, []);
+                this.sources.get(path).push({ layer, value });
+            }
+        }
+        return result;
+    }
+
+    build() {
+        this.sources = new Map();
+        let config = {};
+        const layers = [{ name: 'defaults', values: schemaDefaults(this.schema) }, ...this.layers];
+        for (const { name, values } of layers) {
+            config = this.merge(config, values, name, '');
+        }
+
+        const errors = this.layers.flatMap(layer => layer.errors ?? []);
+        errors.push(...validateConfig(config, this.schema, path => {
+            // Unknown sections are reported by their top key, e.g. "databse"
+            const history = this.sources.get(path) ??
+                [...this.sources].find(([source]) => source.startsWith(`${path}.`))?.[1];
+            return history ? ` from ${history[history.length - 1].layer}` : '';
+        }));
+        if (errors.length > 0) {
+            throw new ConfigValidationError(errors);
+        }
+        return deepFreeze(config);
+    }
+
+    // Call after build(): the winning layer plus everything it overrode.
+    // Sections report each leaf key, and source lists every layer that won one of them
+    explain(path) {
+        const leaves = [...this.sources.keys()].filter(key => key.startsWith(`${path}.`));
+        if (!this.sources.has(path) && leaves.length > 0) {
+            const keys = leaves.map(leaf => this.explain(leaf));
+            const value = {};
+            for (const leaf of keys) {
+                const segments = leaf.path.slice(path.length + 1).split('.');
+                let target = value;
+                segments.slice(0, -1).forEach(segment => {
+                    target = target[segment] ??= {};
+                });
+                target[segments[segments.length - 1]] = leaf.value;
+            }
+            return { path, value, source: [...new Set(keys.map(leaf => leaf.source))], keys };
+        }
+
+        const history = this.sources.get(path) || [];
+        const winner = history[history.length - 1];
+        return { path, value: winner?.value, source: winner?.layer ?? null, history };
+    }
+}
+
+// Usage
+const serverSchema = {
+    env: { type: 'string', enum: ['development', 'staging', 'production'], default: 'development' },
+    server: {
+        host: { type: 'string', default: '0.0.0.0' },
+        port: { type: 'integer', min: 1, max: 65535, default: 3000 }
+    },
+    database: {
+        url: { type: 'string', required: true },
+        maxConnections: { type: 'integer', min: 1, max: 100, default: 10 }
+    },
+    features: { type: 'array', default: [] },
+    debug: { type: 'boolean', default: false }
+};
+
+const configFile = '{ "server": { "port": 8080 }, "database": { "url": "postgres://localhost/app" } }';
+
+const layered = LayeredConfigBuilder.create(serverSchema)
+    .file('config.json', configFile)
+    .env({ APP_SERVER__PORT: '9090', APP_DEBUG: 'true', APP_FEATURES: 'search,beta', HOME: '/root' })
+    .overrides(new ImmutableConfigBuilder().set('env', 'staging').build());
+
+const serverConfig = layered.build();
+console.log(serverConfig.server, serverConfig.debug, serverConfig.features);
+// { host: '0.0.0.0', port: 9090 } true [ 'search', 'beta' ]
+
+console.log(layered.explain('server.port'));
+// { path: 'server.port', value: 9090, source: 'env', history: [
+//   { layer: 'defaults', value: 3000 }, { layer: 'config.json', value: 8080 }, { layer: 'env', value: 9090 } ] }
+console.log(layered.explain('server.host').source);  // defaults
+
+try {
+    LayeredConfigBuilder.create(serverSchema)
+        .env({ APP_ENV: 'test', APP_SERVER__PORT: '70000', APP_DATABSE__URL: 'postgres://typo' })
+        .build();
+} catch (error) {
+    console.log(error.errors);
+    // [
+    //   'env: must be one of development, staging, production (got "test" from env)',
+    //   'server.port: must be <= 65535 (got 70000 from env)',
+    //   'database.url: is required',
+    //   'databse: unknown key from env'
+    // ]
+}
+
+const explained = layered.explain('server');
+console.log(explained.value, explained.source, explained.keys.map(key => `${key.path} <- ${key.source}`));
+// { host: '0.0.0.0', port: 9090 } [ 'defaults', 'env' ] [ 'server.host <- defaults', 'server.port <- env' ]
+
+try {
+    LayeredConfigBuilder.create(serverSchema)
+        .file('local.json', '{ "debug": tru }')
+        .env({ APP_FEATURES: '[search', APP_SERVER__PORT: '70000' })
+        .build();
+} catch (error) {
+    console.log(error.errors);
+    // [
+    //   'local.json: invalid JSON (...)',
+    //   'features: invalid JSON in APP_FEATURES (...)',
+    //   'server.port: must be <= 65535 (got 70000 from env)',
+    //   'database.url: is required'
+    // ]
+}
+
+// -------------------------------------------------------------------------------------------
+// 12. FORM RENDERING, BINDING AND VALIDATION
+// -------------------------------------------------------------------------------------------
+
+/**
+ * FormBuilder only describes a form. FormRenderer turns that description
+ * into a working form (built with ElementBuilder from section 4):
+ * - Accessible markup: <label for>, aria-required, aria-invalid,
+ *   aria-describedby pointing at a live error slot per field
+ * - Two-way binding: typing updates the state object, assigning to
+ *   renderer.state updates the inputs
+ * - validationRules run on blur and on submit; async validators are awaited
+ * - Conditional fields (showWhen) are hidden, skipped and not submitted
+ * - Field arrays render as a fieldset with add/remove buttons
+ * - submitHandler receives (FormData, values)
+ */
+
+const isEmptyValue = value => value === '' || value === null || value === undefined || value === false;
+
+async function validateFieldValue(field, value, rules = {}, values = {}) {
+    if (rules.required && isEmptyValue(value)) return `${field.label} is required`;
+    if (isEmptyValue(value)) return null;
+
+    // min/max limit the value of numbers and the length of text
+    const size = field.type === 'number' ? Number(value) : String(value).length;
+    const unit = field.type === 'number' ? '' : ' characters';
+    if (rules.min !== undefined && size < rules.min) {
+        return `${field.label} must be at least ${rules.min}${unit}`;
+    }
+    if (rules.max !== undefined && size > rules.max) {
+        return `${field.label} must be at most ${rules.max}${unit}`;
+    }
+
+    for (const validator of rules.validators || []) {
+        const message = await validator(value, values);
+        if (message) return message;
+    }
+    return null;
+}
+
+function isFieldVisible(field, values) {
+    return !field.showWhen || values[field.showWhen.field] === field.showWhen.equals;
+}
+
+// Nested values use bracket names: contacts[0][email]
+function toFormData(values, formData = new FormData(), prefix = '') {
+    for (const [key, value] of Object.entries(values)) {
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => toFormData({ [i]: item }, formData, name));
+        } else if (isPlainObject(value)) {
+            toFormData(value, formData, name);
+        } else if (value === true) {
+            formData.append(name, 'on');  // Like a checked checkbox
+        } else if (value !== false && value !== null && value !== undefined) {
+            formData.append(name, value);
+        }
+    }
+    return formData;
+}
+
+function parseFieldName(name) {
+    const [, root, index, sub] = name.match(/^([^[]+)(?:\[(\d+)\]\[([^\]]+)\])?$/);
+    return { root, index: index === undefined ? null : Number(index), sub };
+}
+
+function readInput(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'number') return input.value === '' ? '' : Number(input.value);
+    return input.value;
+}
+
+function writeInput(input, value) {
+    if (input.type === 'checkbox') {
+        input.checked = Boolean(value);
+    } else {
+        input.value = value ?? '';
+    }
+}
+
+class FormRenderer {
+    constructor(form, initialState = {}, doc = globalThis.document) {
+        this.form = form;
+        this.doc = doc;
+        this.element = null;
+        this.values = {};
+
+        for (const field of form.fields) {
+            const fallback = field.type === 'array' ? [] : field.type === 'checkbox' ? false : field.defaultValue;
+            this.values[field.name] = structuredClone(initialState[field.name] ?? fallback);
+        }
+
+        // Assigning state.x = value updates the form too
+        this.state = new Proxy(this.values, {
+            set: (target, key, value) => {
+                target[key] = value;
+                this.syncField(key);
+                this.updateVisibility();
+                return true;
+            }
+        });
+    }
+
+    inputId(...parts) {
+        return [this.form.name, ...parts].join('-');
+    }
+
+    // Rendering
+
+    renderInput(field, inputId, name) {
+        const errorId = `${inputId}-error`;
+        let input;
+
+        if (field.type === 'select') {
+            input = ElementBuilder.create('select');
+            field.options.forEach(option => {
+                const { value, label } = typeof option === 'string' ? { value: option, label: option } : option;
+                input.child(ElementBuilder.create('option').attr('value', value).text(label));
+            });
+        } else if (field.type === 'textarea') {
+            input = ElementBuilder.create('textarea');
+        } else {
+            input = ElementBuilder.create('input').attr('type', field.type);
+        }
+
+        input.id(inputId)
+            .attr('name', name)
+            .attr('aria-describedby', errorId)
+            .attr('aria-invalid', 'false');
+        if (field.placeholder) input.attr('placeholder', field.placeholder);
+        if (field.required) input.attr('required', true).attr('aria-required', 'true');
+        if (field.disabled) input.attr('disabled', true);
+
+        const label = ElementBuilder.create('label').attr('for', inputId).text(field.label);
+        const error = ElementBuilder.create('p').id(errorId).class('field-error').attr('aria-live', 'polite');
+        const wrapper = ElementBuilder.create('div').class('field').attr('data-field', name);
+
+        return field.type === 'checkbox'
+            ? wrapper.children(input, label, error)
+            : wrapper.children(label, input, error);
+    }
+
+    arrayRows(field) {
+        return this.values[field.name].map((item, index) => {
+            const row = ElementBuilder.create('div').class('field-array-row');
+            field.fields.forEach(sub => {
+                row.child(this.renderInput(sub, this.inputId(field.name, index, sub.name), `${field.name}[${index}][${sub.name}]`));
+            });
+            return row.child(
+                ElementBuilder.create('button')
+                    .attr('type', 'button')
+                    .attr('data-action', 'remove')
+                    .attr('data-array', field.name)
+                    .attr('data-index', index)
+                    .attr('aria-label', `Remove ${field.label} ${index + 1}`)
+                    .text('Remove')
+            );
+        });
+    }
+
+    renderField(field) {
+        if (field.type !== 'array') {
+            return this.renderInput(field, this.inputId(field.name), field.name);
+        }
+        return ElementBuilder.create('fieldset')
+            .class('field-array')
+            .attr('data-field', field.name)
+            .child(ElementBuilder.create('legend').text(field.label))
+            .child(ElementBuilder.create('div').class('field-array-rows').children(...this.arrayRows(field)))
+            .child(
+                ElementBuilder.create('button')
+                    .attr('type', 'button')
+                    .attr('data-action', 'add')
+                    .attr('data-array', field.name)
+                    .text(`Add ${field.label}`)
+            );
+    }
+
+    render() {
+        const form = ElementBuilder.create('form').attr('name', this.form.name).attr('novalidate', true);
+        this.form.fields.forEach(field => form.child(this.renderField(field)));
+        form.child(ElementBuilder.create('button').attr('type', 'submit').text('Submit'));
+
+        // One delegated listener per event survives re-rendered array rows
+        this.element = form.toDOM(this.doc);
+        this.element.addEventListener('input', e => this.onInput(e));
+        this.element.addEventListener('change', e => this.onInput(e));
+        this.element.addEventListener('focusout', e => this.onBlur(e));
+        this.element.addEventListener('click', e => this.onClick(e));
+        this.element.addEventListener('submit', e => this.onSubmit(e));
+
+        this.form.fields.forEach(field => this.syncField(field.name));
+        this.updateVisibility();
+        return this.element;
+    }
+
+    renderArray(name) {
+        const field = this.form.fields.find(f => f.name === name);
+        const rows = this.element.querySelector(`[data-field="${name}"] .field-array-rows`);
+        rows.replaceChildren(...this.arrayRows(field).map(row => row.toDOM(this.doc)));
+        this.writeArrayInputs(name);
+    }
+
+    arrayInputs(name) {
+        return [...this.element.elements].filter(el => el.name.startsWith(`${name}[`));
+    }
+
+    writeArrayInputs(name) {
+        this.arrayInputs(name).forEach(input => {
+            const { index, sub } = parseFieldName(input.name);
+            writeInput(input, this.values[name][index][sub]);
+        });
+    }
+
+    // Binding: model -> DOM
+
+    syncField(name) {
+        const field = this.form.fields.find(f => f.name === name);
+        if (!field || !this.element) return;
+
+        if (field.type !== 'array') {
+            writeInput(this.element.querySelector(`[name="${name}"]`), this.values[name]);
+            return;
+        }
+
+        // A replaced array may have a different number of rows
+        if (this.arrayInputs(name).length !== this.values[name].length * field.fields.length) {
+            this.renderArray(name);
+        } else {
+            this.writeArrayInputs(name);
+        }
+    }
+
+    updateVisibility() {
+        if (!this.element) return;
+        for (const field of this.form.fields) {
+            if (!field.showWhen) continue;
+            this.element.querySelector(`[data-field="${field.name}"]`).hidden = !isFieldVisible(field, this.values);
+        }
+    }
+
+    // Binding: DOM -> model
+
+    onInput(event) {
+        const input = event.target;
+        if (!input.name) return;
+
+        const { root, index, sub } = parseFieldName(input.name);
+        if (sub) {
+            this.values[root][index][sub] = readInput(input);
+        } else {
+            this.values[root] = readInput(input);
+        }
+        this.updateVisibility();
+
+        // Clear an error as soon as the value is fixed
+        if (input.getAttribute('aria-invalid') === 'true') this.validateInput(input);
+    }
+
+    onBlur(event) {
+        if (event.target.name) this.validateInput(event.target);
+    }
+
+    onClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const name = button.dataset.array;
+        const field = this.form.fields.find(f => f.name === name);
+        if (button.dataset.action === 'add') {
+            const item = Object.fromEntries(field.fields.map(sub => [sub.name, sub.type === 'checkbox' ? false : '']));
+            this.values[name].push(item);
+        } else {
+            this.values[name].splice(Number(button.dataset.index), 1);
+        }
+        this.renderArray(name);
+    }
+
+    async onSubmit(event) {
+        event.preventDefault();
+
+        this.element.setAttribute('aria-busy', 'true');
+        const { valid, firstInvalid } = await this.validate();
+        this.element.removeAttribute('aria-busy');
+
+        if (!valid) {
+            firstInvalid.focus();
+            return;
+        }
+        const values = this.visibleValues();
+        await this.form.submitHandler?.(toFormData(values), values);
+    }
+
+    // Validation
+
+    rulesFor(name) {
+        const { root, sub } = parseFieldName(name);
+        const field = this.form.fields.find(f => f.name === root);
+        if (!sub) return { field, rules: this.form.validationRules[root] };
+
+        const item = field.fields.find(f => f.name === sub);
+        return { field: item, rules: item.rules };
+    }
+
+    async validateInput(input) {
+        const { field, rules } = this.rulesFor(input.name);
+        const message = await validateFieldValue(field, readInput(input), rules, this.values);
+
+        input.setAttribute('aria-invalid', String(Boolean(message)));
+        this.element.querySelector(`[id="${input.getAttribute('aria-describedby')}"]`).textContent = message || '';
+        return message;
+    }
+
+    async validate() {
+        const inputs = [...this.element.elements].filter(el => el.name && !el.closest('[hidden]'));
+        const messages = await Promise.all(inputs.map(input => this.validateInput(input)));
+
+        const errors = {};
+        inputs.forEach((input, i) => {
+            if (messages[i]) errors[input.name] = messages[i];
+        });
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            firstInvalid: inputs.find((_, i) => messages[i])
+        };
+    }
+
+    visibleValues() {
+        return Object.fromEntries(
+            this.form.fields
+                .filter(field => isFieldVisible(field, this.values))
+                .map(field => [field.name, structuredClone(this.values[field.name])])
+        );
+    }
+}
+
+// Usage
+const takenUsernames = new Set(['admin', 'root']);
+
+const signupForm = FormBuilder.create('signup')
+    .text('username', 'Username').required().min(3)
+    .validate(async (value) => {
+        await new Promise(resolve => setTimeout(resolve, 50));  // e.g. an API call
+        return takenUsernames.has(value) ? 'Username is already taken' : null;
+    })
+    .select('accountType', 'Account type', ['personal', 'business'])
+    .text('company', 'Company name').required().showWhen('accountType', 'business')
+    .fieldArray('contacts', 'Contact', [
+        { name: 'email', type: 'email', label: 'Email', required: true },
+        { name: 'primary', type: 'checkbox', label: 'Primary' }
+    ])
+    .onSubmit((formData, values) => console.log('Submitting:', [...formData.entries()]))
+    .build();
+
+// The validation and serialisation helpers work without a DOM
+validateFieldValue(signupForm.fields[0], 'admin', signupForm.validationRules.username)
+    .then(message => console.log(message));  // Username is already taken
+
+console.log([...toFormData({
+    username: 'alice',
+    accountType: 'personal',
+    contacts: [{ email: 'a@example.com', primary: true }]
+}).entries()]);
+// [ ['username', 'alice'], ['accountType', 'personal'],
+//   ['contacts[0][email]', 'a@example.com'], ['contacts[0][primary]', 'on'] ]
+
+if (typeof document !== 'undefined') {
+    const signup = new FormRenderer(signupForm, { accountType: 'personal', contacts: [{ email: '', primary: true }] });
+    document.body.appendChild(signup.render());
+
+    signup.state.accountType = 'business';  // "Company name" appears
+}
+
+// -------------------------------------------------------------------------------------------
+// 13. GENERIC STEP BUILDERS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * PizzaBuilder -> PizzaCrustStep -> PizzaToppingsStep hand-writes one
+ * class per stage. createStepBuilder() generates the stages from a list:
+ * - { name }                  required step, a method named after it
+ * - { optional: true }        may be skipped
+ * - { repeatable: true }      may be called again (values collect in an array)
+ * - { when: values => bool }  branch: only applies for earlier choices
+ * - { validate: value => true | 'message' } per-step validation
+ * Each stage only offers the steps allowed next; calling any other step
+ * or build() too early throws an error naming what is missing.
+ */
+
+class StepBuilderError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StepBuilderError';
+    }
+}
+
+const STAGE_MEMBERS = ['build', 'values', 'nextSteps', 'canBuild'];
+
+function createStepBuilder({ name: builderName = 'Builder', steps, build = values => values }) {
+    const seen = new Set();
+    for (const { name } of steps) {
+        if (STAGE_MEMBERS.includes(name)) {
+            throw new StepBuilderError(`${builderName}: step name "${name}" clashes with a stage member`);
+        }
+        if (seen.has(name)) {
+            throw new StepBuilderError(`${builderName}: duplicate step "${name}"`);
+        }
+        seen.add(name);
+    }
+
+    const isSatisfied = (step, values) => step.optional || (step.repeatable && step.name in values);
+
+    // Steps callable from a position, and the first required one blocking build()
+    const scan = (position, values) => {
+        const available = [];
+        for (let i = position; i < steps.length; i++) {
+            const step = steps[i];
+            if (step.when && !step.when(values)) continue;
+            available.push(i);
+            if (!isSatisfied(step, values)) return { available, blocker: step };
+        }
+        return { available, blocker: null };
+    };
+
+    const explain = (stepName, position, values) => {
+        const index = steps.findIndex(step => step.name === stepName);
+        const step = steps[index];
+        if (index < position && stepName in values) return `${stepName}() was already called`;
+        if (step.when && !step.when(values)) return `${stepName}() does not apply to the choices made so far`;
+        if (index < position) return `${stepName}() was skipped and is no longer available`;
+        return `${stepName}() called too early: ${scan(position, values).blocker.name}() is required first`;
+    };
+
+    const stage = (position, values) => {
+        const { available, blocker } = scan(position, values);
+        const target = {
+            nextSteps: available.map(i => steps[i].name),
+            values: Object.freeze({ ...values }),  // Shallow, so functions and class instances survive
+            canBuild: blocker === null
+        };
+
+        for (const i of available) {
+            const step = steps[i];
+            target[step.name] = (value) => {
+                const result = step.validate ? step.validate(value, values) : true;
+                if (result !== true) {
+                    throw new StepBuilderError(`${builderName}.${step.name}(): ${result || 'invalid value'}`);
+                }
+                const next = step.repeatable
+                    ? { ...values, [step.name]: [...(values[step.name] || []), value] }
+                    : { ...values, [step.name]: value };
+                return stage(step.repeatable ? i : i + 1, next);
+            };
+        }
+
+        if (blocker === null) {
+            target.build = () => build({ ...values });
+        }
+
+        // Turn "x is not a function" into an explanation
+        return new Proxy(target, {
+            get(obj, prop) {
+                if (prop in obj) return obj[prop];
+                if (prop === 'build') {
+                    throw new StepBuilderError(`${builderName}.build() called too early: ${blocker.name}() is required first`);
+                }
+                if (steps.some(step => step.name === prop)) {
+                    throw new StepBuilderError(`${builderName}.${explain(prop, position, values)}`);
+                }
+                return undefined;
+            }
+        });
+    };
+
+    return () => stage(0, {});
+}
+
+// Usage: PizzaBuilder, generated
+const orderPizza = createStepBuilder({
+    name: 'Pizza',
+    steps: [
+        { name: 'size', validate: v => ['small', 'medium', 'large'].includes(v) || `unknown size "${v}"` },
+        { name: 'crust' },
+        { name: 'topping', optional: true, repeatable: true }
+    ],
+    build: ({ size, crust, topping = [] }) => ({ size, crust, toppings: topping })
+});
+
+console.log(orderPizza().size('large').crust('thin').topping('pepperoni').topping('olives').build());
+// { size: 'large', crust: 'thin', toppings: [ 'pepperoni', 'olives' ] }
+
+try {
+    orderPizza().size('large').topping('ham');
+} catch (error) {
+    console.log(error.message);  // Pizza.topping() called too early: crust() is required first
+}
+
+// Usage: checkout with a branch on the payment method
+const checkout = createStepBuilder({
+    name: 'Checkout',
+    steps: [
+        { name: 'cart', validate: items => items.length > 0 || 'cart is empty' },
+        { name: 'coupon', optional: true },
+        { name: 'shipping' },
+        { name: 'paymentMethod', validate: m => ['card', 'invoice'].includes(m) || `unsupported method "${m}"` },
+        { name: 'card', when: v => v.paymentMethod === 'card' },
+        { name: 'billingAddress', when: v => v.paymentMethod === 'invoice' },
+        { name: 'notes', optional: true }
+    ]
+});
+
+const atPayment = checkout()
+    .cart([{ sku: 'A1', qty: 2 }])
+    .shipping({ method: 'express' })
+    .paymentMethod('invoice');
+
+console.log(atPayment.nextSteps);  // [ 'billingAddress' ]
+
+try {
+    atPayment.card({ number: '4242' });
+} catch (error) {
+    console.log(error.message);  // Checkout.card() does not apply to the choices made so far
+}
+
+try {
+    atPayment.build();
+} catch (error) {
+    console.log(error.message);  // Checkout.build() called too early: billingAddress() is required first
+}
+
+console.log(atPayment.billingAddress({ city: 'Berlin' }).canBuild);  // true
+
+try {
+    atPayment.coupon('SAVE10');
+} catch (error) {
+    console.log(error.message);  // Checkout.coupon() was skipped and is no longer available
+}
+
+try {
+    atPayment.shipping({ method: 'standard' });
+} catch (error) {
+    console.log(error.message);  // Checkout.shipping() was already called
+}
+
+try {
+    createStepBuilder({ steps: [{ name: 'size' }, { name: 'build' }] });
+} catch (error) {
+    console.log(error.message);  // Builder: step name "build" clashes with a stage member
+}
+
+try {
+    checkout().cart([]);
+} catch (error) {
+    console.log(error.message);  // Checkout.cart(): cart is empty
+}
+
 // -------------------------------------------------------------------------------------------
 // SUMMARY & BEST PRACTICES
 // -------------------------------------------------------------------------------------------
@@ -773,12 +3169,13 @@ console.log(builder4.build());  // { host: 'localhost', port: 3000, debug: true,
  * TYPES OF BUILDERS:
  * - Classic Builder (with Director)
  * - Fluent Builder (most common in JS)
- * - Step Builder (enforced order)
+ * - Step Builder (enforced order, generated by createStepBuilder)
  * - Immutable Builder
+ * - Layered Builder (merged sources + schema validation)
  *
  * USE CASES:
  * - Complex object construction
- * - Query builders (SQL, GraphQL)
+ * - Query builders (SQL, GraphQL) - always parameterized
  * - Request/Response builders
  * - Form schema builders
  * - Configuration objects
@@ -793,6 +3190,8 @@ console.log(builder4.build());  // { host: 'localhost', port: 3000, debug: true,
  *
  * BEST PRACTICES:
  * - Return 'this' for method chaining
+ * - Keep builder state declarative so it can target several outputs
+ *   (SQL text and in-memory evaluation from the same QueryBuilder)
  * - Validate in build() method
  * - Consider immutable builders for complex scenarios
  * - Use step builders when order matters
@@ -59,6 +59,15 @@ class LightOnCommand extends Command {
     undo() {
         this.light.turnOff();
     }
+
+    toJSON() {
+        return { location: this.light.location };
+    }
+
+    // lights: Map of location -> Light
+    static fromJSON(lights, data) {
+        return new LightOnCommand(lights.get(data.location));
+    }
 }
 
 class LightOffCommand extends Command {
@@ -74,6 +83,15 @@ class LightOffCommand extends Command {
     undo() {
         this.light.turnOn();
     }
+
+    toJSON() {
+        return { location: this.light.location };
+    }
+
+    // lights: Map of location -> Light
+    static fromJSON(lights, data) {
+        return new LightOffCommand(lights.get(data.location));
+    }
 }
 
 // Invoker
@@ -168,6 +186,22 @@ class InsertTextCommand {
             content.slice(0, this.position) + 
             content.slice(this.position + this.text.length);
     }
+
+    toJSON() {
+        return { position: this.position, text: this.text };
+    }
+
+    static fromJSON(editor, data) {
+        return new InsertTextCommand(editor, data.position, data.text);
+    }
+
+    // Absorb an already-executed insert that continues right after this one
+    mergeWith(next) {
+        if (!(next instanceof InsertTextCommand) || next.editor !== this.editor) return false;
+        if (next.position !== this.position + this.text.length) return false;
+        this.text += next.text;
+        return true;
+    }
 }
 
 class DeleteTextCommand {
@@ -193,6 +227,30 @@ class DeleteTextCommand {
             this.deletedText + 
             content.slice(this.position);
     }
+
+    toJSON() {
+        return { position: this.position, length: this.length };
+    }
+
+    static fromJSON(editor, data) {
+        return new DeleteTextCommand(editor, data.position, data.length);
+    }
+
+    // Absorb an already-executed delete: Backspace (ends where this one
+    // starts) or forward Delete (starts at the same position)
+    mergeWith(next) {
+        if (!(next instanceof DeleteTextCommand) || next.editor !== this.editor) return false;
+        if (next.position + next.length === this.position) {
+            this.position = next.position;
+            this.deletedText = next.deletedText + this.deletedText;
+        } else if (next.position === this.position) {
+            this.deletedText += next.deletedText;
+        } else {
+            return false;
+        }
+        this.length += next.length;
+        return true;
+    }
 }
 
 class ReplaceTextCommand {
@@ -220,6 +278,14 @@ class ReplaceTextCommand {
             this.oldText + 
             content.slice(this.position + this.newText.length);
     }
+
+    toJSON() {
+        return { position: this.position, length: this.length, newText: this.newText };
+    }
+
+    static fromJSON(editor, data) {
+        return new ReplaceTextCommand(editor, data.position, data.length, data.newText);
+    }
 }
 
 // Usage
@@ -664,6 +730,1328 @@ dispatcher.dispatch({
     payload: { name: 'Alice', email: 'alice@example.com' }
 });
 
+// -------------------------------------------------------------------------------------------
+// 10. SERIALIZABLE COMMAND HISTORY
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Commands hold everything needed to re-run them, so the history can be
+ * saved as JSON and restored in a later session.
+ * - Each command describes itself with toJSON() and rebuilds with fromJSON()
+ * - A registry maps a stable type name to the command class
+ * - MacroCommands (e.g. grouped edits) are saved as their serialized children
+ * - Restoring replays the log against a fresh receiver
+ */
+
+class CommandRegistry {
+    constructor() {
+        this.types = new Map();
+    }
+
+    register(type, CommandClass) {
+        this.types.set(type, CommandClass);
+        return this;
+    }
+
+    serialize(command) {
+        for (const [type, CommandClass] of this.types) {
+            if (command.constructor === CommandClass) {
+                return { type, data: command.toJSON() };
+            }
+        }
+        if (command.constructor === MacroCommand) {
+            return { type: 'macro', data: command.commands.map(child => this.serialize(child)) };
+        }
+        throw new Error(`Unregistered command: ${command.constructor.name}`);
+    }
+
+    deserialize(entry, receiver) {
+        if (entry.type === 'macro' && !this.types.has('macro')) {
+            return new MacroCommand(entry.data.map(child => this.deserialize(child, receiver)));
+        }
+        const CommandClass = this.types.get(entry.type);
+        if (!CommandClass) {
+            throw new Error(`Unknown command type: ${entry.type}`);
+        }
+        return CommandClass.fromJSON(receiver, entry.data);
+    }
+}
+
+const textCommands = new CommandRegistry()
+    .register('insert', InsertTextCommand)
+    .register('delete', DeleteTextCommand)
+    .register('replace', ReplaceTextCommand);
+
+function saveHistory(editor, registry) {
+    return JSON.stringify({
+        undo: editor.undoStack.map(cmd => registry.serialize(cmd)),
+        redo: editor.redoStack.map(cmd => registry.serialize(cmd))
+    });
+}
+
+function restoreHistory(editor, json, registry) {
+    const { undo, redo } = JSON.parse(json);
+
+    // Replaying rebuilds the document and any state captured on execute
+    // (e.g. deletedText), so undo works exactly as in the original session
+    // Each entry was its own undo step, so keep a coalescing editor from merging them
+    undo.forEach(entry => {
+        editor.breakCoalescing?.();
+        editor.executeCommand(registry.deserialize(entry, editor));
+    });
+
+    // executeCommand() clears the redo stack, so restore it last
+    editor.redoStack = redo.map(entry => registry.deserialize(entry, editor));
+    return editor;
+}
+
+// Usage
+const draft = new TextEditor();
+draft.executeCommand(new InsertTextCommand(draft, 0, 'Hello World'));
+draft.executeCommand(new ReplaceTextCommand(draft, 6, 5, 'There'));
+draft.executeCommand(new DeleteTextCommand(draft, 5, 6));
+draft.undo();
+console.log(draft.getContent());  // Hello There
+
+const savedHistory = saveHistory(draft, textCommands);
+// {"undo":[{"type":"insert","data":{"position":0,"text":"Hello World"}}, ...],"redo":[...]}
+
+const restored = restoreHistory(new TextEditor(), savedHistory, textCommands);
+console.log(restored.getContent());  // Hello There
+
+restored.redo();
+console.log(restored.getContent());  // Hello
+
+restored.undo();
+restored.undo();
+console.log(restored.getContent());  // Hello World
+
+// -------------------------------------------------------------------------------------------
+// 11. UNDO TREE (BRANCHING HISTORY)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A linear undo stack discards the redo branch as soon as a new command
+ * runs after an undo. An undo tree keeps every branch instead:
+ * - Each executed command becomes a child of the current node
+ * - undo() moves to the parent, redo() moves to a chosen child
+ * - jumpTo() undoes up to the common ancestor, then redoes down to the target
+ * Works as the invoker for any command with execute()/undo() (lights, text, ...).
+ */
+
+class UndoTree {
+    constructor() {
+        this.nextId = 0;
+        this.root = this.createNode(null, null);
+        this.current = this.root;
+        this.nodes = new Map([[this.root.id, this.root]]);
+    }
+
+    createNode(command, parent) {
+        return { id: this.nextId++, command, parent, children: [], lastVisited: null };
+    }
+
+    execute(command) {
+        command.execute();
+        const node = this.createNode(command, this.current);
+        this.current.children.push(node);
+        this.current.lastVisited = node;
+        this.nodes.set(node.id, node);
+        this.current = node;
+        return node.id;
+    }
+
+    undo() {
+        if (this.current === this.root) return false;
+        this.current.command.undo();
+        this.current.parent.lastVisited = this.current;
+        this.current = this.current.parent;
+        return true;
+    }
+
+    // Walk forward along a branch: by index, or the most recently visited one
+    redo(branchIndex) {
+        const { children, lastVisited } = this.current;
+        const next = branchIndex === undefined ? lastVisited : children[branchIndex];
+        if (!next) return false;
+        next.command.execute();
+        this.current.lastVisited = next;
+        this.current = next;
+        return true;
+    }
+
+    // Forward choices from the current node
+    branches() {
+        return this.current.children.map(node => node.id);
+    }
+
+    // Alternative versions of the current node (same parent)
+    siblings() {
+        if (this.current === this.root) return [];
+        return this.current.parent.children
+            .filter(node => node !== this.current)
+            .map(node => node.id);
+    }
+
+    pathFromRoot(node) {
+        const path = [];
+        for (let n = node; n; n = n.parent) path.unshift(n);
+        return path;
+    }
+
+    jumpTo(id) {
+        const target = this.nodes.get(id);
+        if (!target) {
+            throw new Error(`Unknown history node: ${id}`);
+        }
+
+        const targetPath = this.pathFromRoot(target);
+        const onTargetPath = new Set(targetPath);
+
+        // Undo up to the common ancestor
+        while (!onTargetPath.has(this.current)) {
+            this.undo();
+        }
+
+        // Redo down along the target's branch
+        for (let i = targetPath.indexOf(this.current) + 1; i < targetPath.length; i++) {
+            this.redo(this.current.children.indexOf(targetPath[i]));
+        }
+    }
+}
+
+// Usage
+const doc = new TextEditor();
+const tree = new UndoTree();
+
+tree.execute(new InsertTextCommand(doc, 0, 'Hello'));
+const worldId = tree.execute(new InsertTextCommand(doc, 5, ' World'));
+console.log(doc.getContent());  // Hello World
+
+tree.undo();
+const thereId = tree.execute(new InsertTextCommand(doc, 5, ' There'));
+console.log(doc.getContent());  // Hello There (" World" branch is kept)
+console.log(tree.siblings());   // [2] -> the " World" node
+
+tree.jumpTo(worldId);
+console.log(doc.getContent());  // Hello World
+
+tree.undo();
+console.log(tree.branches());   // [2, 3]
+tree.redo(1);                   // Follow the second branch
+console.log(doc.getContent());  // Hello There
+console.log(tree.current.id === thereId);  // true
+
+// -------------------------------------------------------------------------------------------
+// 12. COMMAND COALESCING AND GROUPING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Typing creates one command per keystroke, but users expect undo to
+ * remove a whole word or a whole operation.
+ * - Coalescing: a command merges into the previous one via mergeWith()
+ * - Grouping: beginGroup()/endGroup() collect commands into a MacroCommand
+ * Either way the result is a single entry on the undo stack.
+ */
+
+class CoalescingTextEditor extends TextEditor {
+    constructor() {
+        super();
+        this.groupStack = [];
+        this.coalesce = true;
+    }
+
+    executeCommand(command) {
+        command.execute();
+        this.redoStack = [];
+
+        const target = this.groupStack.length > 0
+            ? this.groupStack[this.groupStack.length - 1]
+            : this.undoStack;
+        const last = target[target.length - 1];
+
+        if (this.coalesce && last && last.mergeWith && last.mergeWith(command)) {
+            return;
+        }
+        target.push(command);
+        this.coalesce = true;
+    }
+
+    // Start a new undo step even if the next command could merge
+    // (e.g. after a cursor move or a typing pause)
+    breakCoalescing() {
+        this.coalesce = false;
+    }
+
+    beginGroup() {
+        this.groupStack.push([]);
+    }
+
+    endGroup() {
+        const commands = this.groupStack.pop();
+        if (!commands) {
+            throw new Error('endGroup() called without beginGroup()');
+        }
+        if (commands.length === 0) return;
+
+        // Nested groups become a single command inside their parent
+        const target = this.groupStack.length > 0
+            ? this.groupStack[this.groupStack.length - 1]
+            : this.undoStack;
+        target.push(new MacroCommand(commands));
+        this.coalesce = false;
+    }
+
+    undo() {
+        if (this.groupStack.length > 0) {
+            throw new Error('Cannot undo while a group is open');
+        }
+        this.coalesce = false;
+        super.undo();
+    }
+
+    redo() {
+        if (this.groupStack.length > 0) {
+            throw new Error('Cannot redo while a group is open');
+        }
+        this.coalesce = false;
+        super.redo();
+    }
+}
+
+// Usage: keystrokes coalesce into one undo step
+const typing = new CoalescingTextEditor();
+'Hello'.split('').forEach((char, i) => {
+    typing.executeCommand(new InsertTextCommand(typing, i, char));
+});
+console.log(typing.undoStack.length);  // 1
+
+// Backspace twice merges into one delete
+typing.executeCommand(new DeleteTextCommand(typing, 4, 1));
+typing.executeCommand(new DeleteTextCommand(typing, 3, 1));
+console.log(typing.getContent());      // Hel
+typing.undo();
+console.log(typing.getContent());      // Hello
+
+// Explicit group: "wrap in quotes" is one step
+typing.beginGroup();
+typing.executeCommand(new InsertTextCommand(typing, 0, '"'));
+typing.executeCommand(new InsertTextCommand(typing, 6, '"'));
+typing.endGroup();
+console.log(typing.getContent());      // "Hello"
+
+typing.undo();
+console.log(typing.getContent());      // Hello
+typing.redo();
+console.log(typing.getContent());      // "Hello"
+
+// Grouped edits are saved like any other history (see section 10)
+const typingHistory = saveHistory(typing, textCommands);
+const reopenedTyping = restoreHistory(new CoalescingTextEditor(), typingHistory, textCommands);
+console.log(reopenedTyping.undoStack.length, reopenedTyping.getContent());  // 2 "Hello"
+reopenedTyping.undo();
+console.log(reopenedTyping.getContent());  // Hello
+
+// -------------------------------------------------------------------------------------------
+// 13. CONCURRENT COMMAND QUEUE (PRIORITIES, RETRIES, CANCELLATION)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A production job queue needs more control than one-at-a-time processing:
+ * - concurrency: how many commands may run at once
+ * - priority lanes: "high" jobs start before "normal" and "low" ones
+ * - per-job retries with exponential backoff, and a per-attempt timeout
+ * - cancellation through AbortSignal (pending jobs are removed, running
+ *   jobs receive an aborted signal in execute(signal))
+ * - pause()/resume(), plus "drain" (nothing left to start) and
+ *   "idle" (nothing pending or running) events
+ * - a timed-out or cancelled job rejects at once, but keeps its slot until
+ *   the command really settles, so ignoring the signal cannot push the
+ *   queue past its concurrency
+ */
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class ConcurrentCommandQueue {
+    constructor({ concurrency = 1, lanes = ['high', 'normal', 'low'] } = {}) {
+        this.concurrency = concurrency;
+        this.lanes = new Map(lanes.map(lane => [lane, []]));
+        this.running = 0;
+        this.paused = false;
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+        return this;
+    }
+
+    emit(event) {
+        (this.listeners.get(event) || []).forEach(listener => listener());
+    }
+
+    get size() {
+        let size = 0;
+        for (const lane of this.lanes.values()) size += lane.length;
+        return size;
+    }
+
+    enqueue(command, { priority = 'normal', retries = 0, backoff = 100, timeout = 0, signal } = {}) {
+        const lane = this.lanes.get(priority);
+        if (!lane) {
+            throw new Error(`Unknown priority lane: ${priority}`);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const job = { command, retries, backoff, timeout, signal, resolve, reject };
+
+            // Cancelling a job that has not started just removes it
+            job.onAbort = () => {
+                const index = lane.indexOf(job);
+                if (index === -1) return;
+                lane.splice(index, 1);
+                reject(signal.reason);
+                this.checkIdle();
+            };
+            signal?.addEventListener('abort', job.onAbort, { once: true });
+
+            lane.push(job);
+            this.next();
+        });
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.next();
+    }
+
+    take() {
+        for (const lane of this.lanes.values()) {
+            if (lane.length > 0) return lane.shift();
+        }
+        return null;
+    }
+
+    next() {
+        while (!this.paused && this.running < this.concurrency) {
+            const job = this.take();
+            if (!job) return;
+
+            this.running++;
+            if (this.size === 0) this.emit('drain');
+
+            this.run(job)
+                .then(job.resolve, job.reject)
+                .then(() => job.execution)
+                .finally(() => {
+                    job.signal?.removeEventListener('abort', job.onAbort);
+                    this.running--;
+                    this.next();
+                    this.checkIdle();
+                });
+        }
+    }
+
+    checkIdle() {
+        if (this.running === 0 && this.size === 0) this.emit('idle');
+    }
+
+    async run(job) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(job);
+            } catch (error) {
+                if (job.signal?.aborted || attempt >= job.retries) throw error;
+                await job.execution;  // a timed-out attempt still holds the slot
+                await sleep(job.backoff * 2 ** attempt, job.signal);
+            }
+        }
+    }
+
+    // One try: the command sees a signal that aborts on timeout or cancel.
+    // job.execution settles (never rejects) once the command itself is done.
+    attempt(job) {
+        const { command, timeout, signal } = job;
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', forwardAbort, { once: true });
+
+        return new Promise((resolve, reject) => {
+            const timer = timeout > 0 && setTimeout(() => {
+                controller.abort(new DOMException(`Command timed out after ${timeout}ms`, 'TimeoutError'));
+            }, timeout);
+
+            const onAbort = () => reject(controller.signal.reason);
+            controller.signal.addEventListener('abort', onAbort, { once: true });
+
+            job.execution = Promise.resolve()
+                .then(() => command.execute(controller.signal))
+                .then(resolve, reject)
+                .finally(() => {
+                    clearTimeout(timer);
+                    signal?.removeEventListener('abort', forwardAbort);
+                    controller.signal.removeEventListener('abort', onAbort);
+                });
+        });
+    }
+}
+
+class FlakyCommand {
+    constructor(name, failures) {
+        this.name = name;
+        this.failures = failures;
+        this.attempts = 0;
+    }
+
+    async execute() {
+        this.attempts++;
+        if (this.attempts <= this.failures) {
+            throw new Error(`${this.name} failed (attempt ${this.attempts})`);
+        }
+        return `${this.name} ok after ${this.attempts} attempts`;
+    }
+}
+
+// Usage
+const jobs = new ConcurrentCommandQueue({ concurrency: 2 });
+jobs.on('drain', () => console.log('Queue drained'));
+jobs.on('idle', () => console.log('Queue idle'));
+
+jobs.pause();  // Collect jobs first so priorities decide the start order
+
+jobs.enqueue(new AsyncCommand('Report (low)', 30), { priority: 'low' });
+jobs.enqueue(new AsyncCommand('Payment (high)', 30), { priority: 'high' });
+
+jobs.enqueue(new FlakyCommand('Sync', 2), { retries: 3, backoff: 10 })
+    .then(result => console.log(result));  // Sync ok after 3 attempts
+
+jobs.enqueue(new AsyncCommand('Slow export', 500), { timeout: 50 })
+    .catch(error => console.log(error.name));  // TimeoutError
+// (AsyncCommand ignores the signal, so the job keeps its slot until its timer finishes)
+
+const cancelJob = new AbortController();
+jobs.enqueue(new AsyncCommand('Cancelled job', 10), { priority: 'low', signal: cancelJob.signal })
+    .catch(error => console.log(error.name));  // AbortError
+cancelJob.abort();
+
+jobs.resume();  // "Payment (high)" starts before the normal and low lanes
+
+// -------------------------------------------------------------------------------------------
+// 14. TRANSACTIONS WITH SAVEPOINTS AND COMPENSATION
+// -------------------------------------------------------------------------------------------
+
+/**
+ * All-or-nothing edits need more than "undo what ran":
+ * - savepoint(name)/rollbackTo(name): partial rollback, nestable like SQL
+ * - compensating actions: async side effects that cannot be undone
+ *   (an email was sent) are reversed by a follow-up action instead
+ * - an explicit result: if an undo itself fails, the transaction is
+ *   marked "inconsistent" and the failures are returned, never swallowed
+ */
+
+class SavepointTransaction extends Transaction {
+    constructor() {
+        super();
+        this.steps = [];       // Executed commands with how to reverse them
+        this.savepoints = [];  // { name, index } - later entries are nested
+        this.status = 'active';
+    }
+
+    assertActive() {
+        if (this.status !== 'active') {
+            throw new Error(`Transaction is ${this.status}`);
+        }
+    }
+
+    // Execute immediately; compensate overrides command.compensate()/undo()
+    async run(command, { compensate } = {}) {
+        this.assertActive();
+        await command.execute();
+
+        const reverse = compensate
+            || (command.compensate ? () => command.compensate() : () => command.undo());
+        this.steps.push({ command, reverse });
+        return this;
+    }
+
+    savepoint(name) {
+        this.assertActive();
+        this.savepoints.push({ name, index: this.steps.length });
+        return this;
+    }
+
+    findSavepoint(name) {
+        const position = this.savepoints.findLastIndex(sp => sp.name === name);
+        if (position === -1) {
+            throw new Error(`Unknown savepoint: ${name}`);
+        }
+        return position;
+    }
+
+    // Keep the changes, forget the savepoint (and the ones nested in it)
+    release(name) {
+        this.assertActive();
+        this.savepoints.length = this.findSavepoint(name);
+        return this;
+    }
+
+    async rollbackTo(name) {
+        this.assertActive();
+        const position = this.findSavepoint(name);
+        const { index } = this.savepoints[position];
+
+        // The savepoint survives so it can be rolled back to again
+        this.savepoints.length = position + 1;
+        return this.reverseSteps(index);
+    }
+
+    async reverseSteps(index) {
+        const toReverse = this.steps.splice(index).reverse();
+        const failures = [];
+
+        for (const step of toReverse) {
+            try {
+                await step.reverse();
+            } catch (error) {
+                failures.push({ command: step.command.constructor.name, error });
+            }
+        }
+
+        if (failures.length > 0) {
+            this.status = 'inconsistent';
+        }
+        return { ok: failures.length === 0, reversed: toReverse.length - failures.length, failures };
+    }
+
+    async rollback() {
+        this.assertActive();
+        this.savepoints = [];
+        const result = await this.reverseSteps(0);
+        if (this.status === 'active') {
+            this.status = 'rolled_back';
+        }
+        return result;
+    }
+
+    // Runs anything queued with add(); any failure rolls back everything
+    async commit() {
+        this.assertActive();
+        try {
+            for (const command of this.commands) {
+                await this.run(command);
+            }
+            this.commands = [];
+        } catch (error) {
+            const rollback = await this.rollback();
+            return { committed: false, status: this.status, error, rollback };
+        }
+        // Committed work is final: nothing is left to reverse
+        this.steps = [];
+        this.savepoints = [];
+        this.status = 'committed';
+        return { committed: true, status: this.status };
+    }
+}
+
+class SendWelcomeEmailCommand {
+    constructor(mailbox, to) {
+        this.mailbox = mailbox;
+        this.to = to;
+    }
+
+    async execute() {
+        this.mailbox.push(`Welcome, ${this.to}`);
+    }
+
+    // A sent email cannot be unsent - compensate with a follow-up
+    async compensate() {
+        this.mailbox.push(`Sorry ${this.to}, your signup was cancelled`);
+    }
+}
+
+// Usage
+(async () => {
+    const mailbox = [];
+    const tx = new SavepointTransaction();
+
+    await tx.run(new CreateRecordCommand(simpleDB, { name: 'Order' }));
+    tx.savepoint('lines');
+    await tx.run(new CreateRecordCommand(simpleDB, { name: 'Line 1' }));
+    tx.savepoint('shipping');
+    await tx.run(new CreateRecordCommand(simpleDB, { name: 'Shipping' }));
+
+    await tx.rollbackTo('lines');  // Removes "Shipping" and "Line 1"
+    console.log(simpleDB.records.size);  // 1
+    console.log(tx.savepoints.map(sp => sp.name));  // ['lines']
+
+    // Queued commands: all or nothing
+    tx.add(new SendWelcomeEmailCommand(mailbox, 'alice'))
+      .add(createCommand(() => { throw new Error('Card declined'); }, () => {}));
+
+    const result = await tx.commit();
+    console.log(result.committed, result.status);  // false rolled_back
+    console.log(simpleDB.records.size);  // 0
+    console.log(mailbox);  // ['Welcome, alice', 'Sorry alice, your signup was cancelled']
+
+    // An undo that fails leaves an explicit "inconsistent" result
+    const broken = new SavepointTransaction();
+    await broken.run(createCommand(() => {}, () => { throw new Error('Disk full'); }));
+    const failed = await broken.rollback();
+    console.log(failed.ok, broken.status);  // false inconsistent
+    console.log(failed.failures[0].error.message);  // Disk full
+
+    // Once committed, the transaction cannot be rolled back
+    const done = new SavepointTransaction();
+    await done.run(new CreateRecordCommand(simpleDB, { name: 'Invoice' }));
+    await done.commit();
+    await done.rollback().catch(error => console.log(error.message));  // Transaction is committed
+    console.log(simpleDB.records.size);  // 1
+})();
+
+// -------------------------------------------------------------------------------------------
+// 15. MIDDLEWARE PIPELINE (AROUND-ADVICE)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Koa-style middleware: each one receives (cmd, next) and decides what
+ * happens around the rest of the chain.
+ * - Code before `await next()` runs on the way in, code after on the way out
+ * - Returning without calling next() short-circuits the dispatch
+ * - The value returned replaces the handler result (transform it)
+ * - try/catch around next() handles errors from later middleware or the handler
+ */
+
+class CommandValidationError extends Error {
+    constructor(type, errors) {
+        super(`Invalid ${type}: ${errors.join(', ')}`);
+        this.name = 'CommandValidationError';
+        this.errors = errors;
+    }
+}
+
+class PipelineDispatcher extends CommandDispatcher {
+    async dispatch(command) {
+        const run = async (index, cmd) => {
+            if (index === this.middleware.length) {
+                const handler = this.handlers.get(cmd.type);
+                if (!handler) {
+                    throw new Error(`No handler for command: ${cmd.type}`);
+                }
+                return handler(cmd);
+            }
+
+            let called = false;
+            // next() may pass a replacement command down the chain
+            const next = (nextCmd = cmd) => {
+                if (called) {
+                    throw new Error('next() called multiple times');
+                }
+                called = true;
+                return run(index + 1, nextCmd);
+            };
+            return this.middleware[index](cmd, next);
+        };
+
+        return run(0, command);
+    }
+}
+
+// Built-in middleware factories
+
+// validators: { [type]: payload => [errorMessages] }
+function validationMiddleware(validators) {
+    return async (cmd, next) => {
+        const validate = validators[cmd.type];
+        const errors = validate ? validate(cmd.payload) : [];
+        if (errors.length > 0) {
+            throw new CommandValidationError(cmd.type, errors);
+        }
+        return next();
+    };
+}
+
+function timingMiddleware(report = (type, ms) => console.log(`${type} took ${ms.toFixed(1)}ms`)) {
+    return async (cmd, next) => {
+        const start = performance.now();
+        try {
+            return await next();
+        } finally {
+            report(cmd.type, performance.now() - start);
+        }
+    };
+}
+
+// Same entry shape as AuditableCommand.log()
+function auditMiddleware(write = entry => console.log('AUDIT:', JSON.stringify(entry))) {
+    return async (cmd, next) => {
+        const entry = {
+            command: cmd.type,
+            userId: cmd.meta?.userId ?? null,
+            timestamp: new Date().toISOString()
+        };
+        try {
+            const result = await next();
+            write({ ...entry, action: 'EXECUTE', status: 'success', error: null });
+            return result;
+        } catch (error) {
+            write({ ...entry, action: 'EXECUTE_FAILED', status: 'failed', error: error.message });
+            throw error;
+        }
+    };
+}
+
+// Usage
+const pipeline = new PipelineDispatcher();
+const auditTrail = [];
+
+// Outermost: turn errors into a result instead of a rejection
+pipeline.use(async (cmd, next) => {
+    try {
+        return { ok: true, data: await next() };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+});
+pipeline.use(auditMiddleware(entry => auditTrail.push(entry)));
+pipeline.use(timingMiddleware(() => {}));
+pipeline.use(validationMiddleware({
+    CREATE_USER: payload => (payload.email?.includes('@') ? [] : ['email is invalid'])
+}));
+
+// Short-circuit: answer from cache without reaching the handler
+const userCache = new Map([[7, { id: 7, name: 'Cached' }]]);
+pipeline.use(async (cmd, next) => {
+    if (cmd.type === 'GET_USER' && userCache.has(cmd.payload.id)) {
+        return userCache.get(cmd.payload.id);
+    }
+    return next();
+});
+
+pipeline.register('CREATE_USER', async (cmd) => ({ id: 2, ...cmd.payload }));
+pipeline.register('GET_USER', async (cmd) => ({ id: cmd.payload.id, name: 'From DB' }));
+
+(async () => {
+    console.log(await pipeline.dispatch({
+        type: 'CREATE_USER',
+        payload: { name: 'Bob', email: 'bob@example.com' },
+        meta: { userId: 'admin' }
+    }));
+    // { ok: true, data: { id: 2, name: 'Bob', email: 'bob@example.com' } }
+
+    console.log(await pipeline.dispatch({ type: 'CREATE_USER', payload: { name: 'Eve' } }));
+    // { ok: false, error: 'Invalid CREATE_USER: email is invalid' }
+
+    console.log(await pipeline.dispatch({ type: 'GET_USER', payload: { id: 7 } }));
+    // { ok: true, data: { id: 7, name: 'Cached' } }
+
+    console.log(auditTrail.map(entry => entry.action));
+    // ['EXECUTE', 'EXECUTE_FAILED', 'EXECUTE']
+})();
+
+// -------------------------------------------------------------------------------------------
+// 16. EVENT SOURCING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Audit logs record THAT something happened; event sourcing records WHAT
+ * happened with enough data to rebuild state from it.
+ * - Command handlers decide which domain events a command produces
+ * - Events are appended to a stream per aggregate in a pluggable store
+ *   (optimistic concurrency via expectedVersion)
+ * - Aggregates are rebuilt by replaying events (from a snapshot if present)
+ * - Projections fold the global event log into read models
+ * - A failing subscriber never fails the append: the events are already
+ *   stored, and a caller retrying would apply the command twice
+ */
+
+class ConcurrencyError extends Error {
+    constructor(streamId, expected, actual) {
+        super(`Stream ${streamId} is at version ${actual}, expected ${expected}`);
+        this.name = 'ConcurrencyError';
+    }
+}
+
+// Store interface: readAll() and persist(events) are storage specific
+class EventStore {
+    constructor() {
+        this.listeners = new Set();
+        this.appendQueue = Promise.resolve();
+        // Replace to route subscriber failures to logging/alerting
+        this.onListenerError = (error, event) => {
+            console.error(`Event listener failed on ${event.type} #${event.position}:`, error);
+        };
+    }
+
+    async read(streamId, fromVersion = 0) {
+        const all = await this.readAll();
+        return all.filter(event => event.streamId === streamId && event.version > fromVersion);
+    }
+
+    // Appends run one at a time, so no other write can land between the
+    // version check and persist(). Positions are global, hence one queue per store.
+    append(streamId, events, expectedVersion) {
+        const result = this.appendQueue.then(() => this.appendNow(streamId, events, expectedVersion));
+        this.appendQueue = result.catch(() => {});
+        return result;
+    }
+
+    async appendNow(streamId, events, expectedVersion) {
+        const all = await this.readAll();
+        const current = all.filter(event => event.streamId === streamId).length;
+        if (expectedVersion !== undefined && current !== expectedVersion) {
+            throw new ConcurrencyError(streamId, expectedVersion, current);
+        }
+
+        const stored = events.map((event, i) => ({
+            ...event,
+            streamId,
+            version: current + i + 1,
+            position: all.length + i + 1
+        }));
+        await this.persist(stored);
+        stored.forEach(event => this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                this.onListenerError(error, event);
+            }
+        }));
+        return stored;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+class InMemoryEventStore extends EventStore {
+    constructor() {
+        super();
+        this.events = [];
+    }
+
+    async readAll() {
+        return [...this.events];
+    }
+
+    async persist(events) {
+        this.events.push(...events);
+    }
+}
+
+// One JSON event per line; fs is a promise-based fs module (node:fs/promises)
+class JsonlFileEventStore extends EventStore {
+    constructor(path, fs) {
+        super();
+        this.path = path;
+        this.fs = fs;
+    }
+
+    async readAll() {
+        try {
+            const text = await this.fs.readFile(this.path, 'utf8');
+            return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async persist(events) {
+        const lines = events.map(event => JSON.stringify(event) + '\n').join('');
+        await this.fs.appendFile(this.path, lines);
+    }
+}
+
+// aggregate: { initialState(), apply(state, event) }
+class EventSourcedRepository {
+    constructor(store, aggregate, { snapshots = new Map(), snapshotEvery = 0 } = {}) {
+        this.store = store;
+        this.aggregate = aggregate;
+        this.snapshots = snapshots;
+        this.snapshotEvery = snapshotEvery;
+    }
+
+    async load(id) {
+        const snapshot = this.snapshots.get(id);
+        let state = snapshot ? snapshot.state : this.aggregate.initialState();
+        let version = snapshot ? snapshot.version : 0;
+
+        for (const event of await this.store.read(id, version)) {
+            state = this.aggregate.apply(state, event);
+            version = event.version;
+        }
+        return { state, version };
+    }
+
+    // Returns a CommandDispatcher handler; decide(state, cmd) returns events
+    commandHandler(decide) {
+        return async (cmd) => {
+            const id = cmd.payload.id;
+            const { state, version } = await this.load(id);
+
+            const meta = {
+                commandType: cmd.type,
+                userId: cmd.meta?.userId ?? null,
+                timestamp: new Date().toISOString()
+            };
+            const events = decide(state, cmd).map(event => ({ ...event, meta }));
+            const stored = await this.store.append(id, events, version);
+
+            const newState = stored.reduce((current, event) => this.aggregate.apply(current, event), state);
+            const newVersion = version + stored.length;
+            if (this.snapshotEvery > 0 &&
+                Math.floor(newVersion / this.snapshotEvery) > Math.floor(version / this.snapshotEvery)) {
+                this.snapshots.set(id, { state: newState, version: newVersion });
+            }
+            return newState;
+        };
+    }
+}
+
+// handlers: { [eventType]: (state, event) => newState }
+class Projection {
+    constructor(store, initialState, handlers) {
+        this.store = store;
+        this.initialState = initialState;
+        this.handlers = handlers;
+        this.state = structuredClone(initialState);
+        this.position = 0;
+    }
+
+    apply(event) {
+        const handler = this.handlers[event.type];
+        if (handler) {
+            this.state = handler(this.state, event);
+        }
+        this.position = event.position;
+    }
+
+    async rebuild() {
+        this.state = structuredClone(this.initialState);
+        this.position = 0;
+        (await this.store.readAll()).forEach(event => this.apply(event));
+        return this.state;
+    }
+
+    start() {
+        return this.store.subscribe(event => this.apply(event));
+    }
+}
+
+const bankAccount = {
+    initialState: () => ({ open: false, owner: null, balance: 0 }),
+    apply(state, event) {
+        switch (event.type) {
+            case 'AccountOpened':
+                return { ...state, open: true, owner: event.payload.owner };
+            case 'MoneyDeposited':
+                return { ...state, balance: state.balance + event.payload.amount };
+            case 'MoneyWithdrawn':
+                return { ...state, balance: state.balance - event.payload.amount };
+            default:
+                return state;
+        }
+    }
+};
+
+function registerBankHandlers(bank, accounts) {
+    bank.register('OPEN_ACCOUNT', accounts.commandHandler((state, cmd) => {
+        if (state.open) throw new Error('Account already open');
+        return [{ type: 'AccountOpened', payload: { owner: cmd.payload.owner } }];
+    }));
+
+    bank.register('DEPOSIT', accounts.commandHandler((state, cmd) => {
+        return [{ type: 'MoneyDeposited', payload: { amount: cmd.payload.amount } }];
+    }));
+
+    bank.register('WITHDRAW', accounts.commandHandler((state, cmd) => {
+        if (state.balance < cmd.payload.amount) throw new Error('Insufficient funds');
+        return [{ type: 'MoneyWithdrawn', payload: { amount: cmd.payload.amount } }];
+    }));
+}
+
+// Usage
+(async () => {
+    const eventStore = new InMemoryEventStore();
+    const accounts = new EventSourcedRepository(eventStore, bankAccount, { snapshotEvery: 2 });
+    const bank = new CommandDispatcher();
+    registerBankHandlers(bank, accounts);
+
+    const balances = new Projection(eventStore, {}, {
+        AccountOpened: (state, e) => ({ ...state, [e.streamId]: 0 }),
+        MoneyDeposited: (state, e) => ({ ...state, [e.streamId]: state[e.streamId] + e.payload.amount }),
+        MoneyWithdrawn: (state, e) => ({ ...state, [e.streamId]: state[e.streamId] - e.payload.amount })
+    });
+    balances.start();
+
+    await bank.dispatch({ type: 'OPEN_ACCOUNT', payload: { id: 'acc-1', owner: 'Alice' } });
+    await bank.dispatch({ type: 'DEPOSIT', payload: { id: 'acc-1', amount: 100 } });
+    await bank.dispatch({ type: 'WITHDRAW', payload: { id: 'acc-1', amount: 30 } });
+    await bank.dispatch({ type: 'WITHDRAW', payload: { id: 'acc-1', amount: 500 } })
+        .catch(error => console.log(error.message));  // Insufficient funds
+
+    console.log(await accounts.load('acc-1'));
+    // { state: { open: true, owner: 'Alice', balance: 70 }, version: 3 }
+    console.log(accounts.snapshots.get('acc-1').version);  // 2
+    console.log(balances.state);  // { 'acc-1': 70 }
+
+    // Two writers that loaded the same version: only the first append wins
+    const racing = await Promise.allSettled([
+        eventStore.append('acc-1', [{ type: 'MoneyDeposited', payload: { amount: 1 } }], 3),
+        eventStore.append('acc-1', [{ type: 'MoneyDeposited', payload: { amount: 2 } }], 3)
+    ]);
+    console.log(racing.map(r => r.status), racing[1].reason?.name);
+    // [ 'fulfilled', 'rejected' ] ConcurrencyError
+
+    // A broken projection is reported, but the deposit still succeeds once
+    const unsubscribe = eventStore.subscribe(() => {
+        throw new Error('projection bug');
+    });
+    eventStore.onListenerError = (error, event) => console.log(`${event.type}: ${error.message}`);
+    await bank.dispatch({ type: 'DEPOSIT', payload: { id: 'acc-1', amount: 5 } });
+    // MoneyDeposited: projection bug
+    unsubscribe();
+    console.log((await accounts.load('acc-1')).state.balance);  // 76
+
+    // The JSONL store has the same interface and survives restarts
+    const fs = await import('node:fs/promises');
+    const os = await import('node:os');
+    const path = await import('node:path');
+    const logFile = path.join(os.tmpdir(), `bank-events-${Date.now()}.jsonl`);
+
+    const fileBank = new CommandDispatcher();
+    registerBankHandlers(fileBank, new EventSourcedRepository(new JsonlFileEventStore(logFile, fs), bankAccount));
+    await fileBank.dispatch({ type: 'OPEN_ACCOUNT', payload: { id: 'acc-2', owner: 'Bob' } });
+    await fileBank.dispatch({ type: 'DEPOSIT', payload: { id: 'acc-2', amount: 25 } });
+
+    // "Restart": a new store instance reading the same file
+    const reopened = new EventSourcedRepository(new JsonlFileEventStore(logFile, fs), bankAccount);
+    console.log((await reopened.load('acc-2')).state.balance);  // 25
+
+    await fs.rm(logFile);
+})();
+
+// -------------------------------------------------------------------------------------------
+// 17. MACRO RECORDING AND PLAYBACK
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Instead of building MacroCommands by hand, record them:
+ * - A recorder attaches to any invoker with executeCommand()
+ * - Commands run between startRecording()/stopRecording() are saved as
+ *   serialized steps (via a CommandRegistry), so macros are plain JSON
+ * - Steps can be edited, and fields turned into parameters; relative
+ *   parameters replay e.g. an insert at a different cursor position
+ * - Playback builds one MacroCommand, so it undoes as a single step
+ */
+
+class RecordedMacro {
+    constructor(name, steps = []) {
+        this.name = name;
+        this.steps = steps;  // [{ type, data }]
+    }
+
+    // Editing
+    insertStep(index, step) {
+        this.steps.splice(index, 0, step);
+        return this;
+    }
+
+    removeStep(index) {
+        this.steps.splice(index, 1);
+        return this;
+    }
+
+    moveStep(from, to) {
+        const [step] = this.steps.splice(from, 1);
+        this.steps.splice(to, 0, step);
+        return this;
+    }
+
+    // Replace one recorded value with a named parameter
+    parameterize(index, field, param) {
+        this.steps[index].data[field] = { $param: param };
+        return this;
+    }
+
+    // Make a field relative to the first recorded value, e.g. every
+    // "position" becomes cursor + offset
+    anchor(field, param) {
+        const first = this.steps.find(step => typeof step.data[field] === 'number');
+        if (!first) return this;
+
+        const origin = first.data[field];
+        this.steps.forEach(step => {
+            if (typeof step.data[field] === 'number') {
+                step.data[field] = { $param: param, offset: step.data[field] - origin };
+            }
+        });
+        return this;
+    }
+
+    resolve(data, params) {
+        const resolved = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (value && typeof value === 'object' && '$param' in value) {
+                if (!(value.$param in params)) {
+                    throw new Error(`Missing macro parameter: ${value.$param}`);
+                }
+                const param = params[value.$param];
+                resolved[key] = value.offset === undefined ? param : param + value.offset;
+            } else {
+                resolved[key] = value;
+            }
+        }
+        return resolved;
+    }
+
+    toCommand(registry, receiver, params = {}) {
+        return new MacroCommand(this.steps.map(step =>
+            registry.deserialize({ type: step.type, data: this.resolve(step.data, params) }, receiver)
+        ));
+    }
+
+    toJSON() {
+        return { name: this.name, steps: this.steps };
+    }
+
+    static fromJSON(data) {
+        return new RecordedMacro(data.name, structuredClone(data.steps));
+    }
+}
+
+class MacroRecorder {
+    constructor(registry) {
+        this.registry = registry;
+        this.macros = new Map();
+        this.recording = null;
+    }
+
+    // Wrap the invoker's executeCommand() so every command is seen
+    attach(invoker) {
+        const executeCommand = invoker.executeCommand.bind(invoker);
+        invoker.executeCommand = (command) => {
+            const result = executeCommand(command);
+            if (this.recording) this.capture(command);
+            return result;
+        };
+        return invoker;
+    }
+
+    capture(command) {
+        // Played-back macros are recorded as their individual steps
+        if (command instanceof MacroCommand) {
+            command.commands.forEach(cmd => this.capture(cmd));
+            return;
+        }
+        const { type, data } = this.registry.serialize(command);
+        this.recording.steps.push({ type, data: structuredClone(data) });
+    }
+
+    startRecording(name) {
+        if (this.recording) {
+            throw new Error(`Already recording "${this.recording.name}"`);
+        }
+        this.recording = new RecordedMacro(name);
+    }
+
+    stopRecording() {
+        if (!this.recording) {
+            throw new Error('Not recording');
+        }
+        const macro = this.recording;
+        this.recording = null;
+        this.macros.set(macro.name, macro);
+        return macro;
+    }
+
+    play(name, invoker, receiver, params) {
+        const macro = this.macros.get(name);
+        if (!macro) {
+            throw new Error(`Unknown macro: ${name}`);
+        }
+        invoker.executeCommand(macro.toCommand(this.registry, receiver, params));
+    }
+
+    save() {
+        return JSON.stringify([...this.macros.values()]);
+    }
+
+    load(json) {
+        JSON.parse(json).forEach(data => {
+            this.macros.set(data.name, RecordedMacro.fromJSON(data));
+        });
+    }
+}
+
+// Usage: RemoteControl
+const house = new Map([livingRoomLight, kitchenLight, bedroomLight].map(l => [l.location, l]));
+const lightCommands = new CommandRegistry()
+    .register('lightOn', LightOnCommand)
+    .register('lightOff', LightOffCommand);
+
+const lightRecorder = new MacroRecorder(lightCommands);
+const smartRemote = lightRecorder.attach(new RemoteControl());
+
+lightRecorder.startRecording('movie-night');
+smartRemote.executeCommand(new LightOffCommand(livingRoomLight));
+smartRemote.executeCommand(new LightOnCommand(kitchenLight));
+lightRecorder.stopRecording();
+
+lightRecorder.macros.get('movie-night').removeStep(1);  // Edit: keep the kitchen as is
+lightRecorder.play('movie-night', smartRemote, house);  // Living Room light is OFF
+
+// Usage: TextEditor with a parameterized cursor position
+const textRecorder = new MacroRecorder(textCommands);
+const notes = textRecorder.attach(new TextEditor());
+notes.executeCommand(new InsertTextCommand(notes, 0, 'Item'));
+
+textRecorder.startRecording('bullet');
+notes.executeCommand(new InsertTextCommand(notes, 0, '- '));
+notes.executeCommand(new InsertTextCommand(notes, 6, ';'));
+textRecorder.stopRecording().anchor('position', 'cursor');
+
+// Saved as JSON, loaded into another session
+const savedMacros = textRecorder.save();
+// [{"name":"bullet","steps":[{"type":"insert","data":{"position":{"$param":"cursor","offset":0},"text":"- "}}, ...]}]
+
+const otherRecorder = new MacroRecorder(textCommands);
+otherRecorder.load(savedMacros);
+
+const list = new TextEditor();
+list.executeCommand(new InsertTextCommand(list, 0, 'Todo: Milk'));
+otherRecorder.play('bullet', list, list, { cursor: 6 });
+console.log(list.getContent());  // Todo: - Milk;
+
+list.undo();  // The whole macro is one undo step
+console.log(list.getContent());  // Todo: Milk
+
 // -------------------------------------------------------------------------------------------
 // SUMMARY & BEST PRACTICES
 // -------------------------------------------------------------------------------------------
@@ -695,6 +2083,14 @@ dispatcher.dispatch({
  * - Validated Commands
  * - Async Commands
  * - Command Dispatcher
+ * - Serializable Commands (registry + replay)
+ * - Undo Tree (branching history)
+ * - Coalesced / Grouped Commands
+ * - Concurrent Queue (priorities, retries, cancellation)
+ * - Savepoint Transactions (compensation, explicit rollback result)
+ * - Middleware Pipeline (validation, timing, auditing)
+ * - Event Sourcing (event store, snapshots, projections)
+ * - Recorded Macros (editable, parameterized, JSON)
  *
  * BEST PRACTICES:
  * - Keep commands small and focused
@@ -267,7 +267,9 @@ console.log(`Total: $${coffee.cost().toFixed(2)}`);  // Total: $3.50
 // -------------------------------------------------------------------------------------------
 
 /**
- * Chainable decorator builder pattern.
+ * Chainable decorator builder pattern. This wraps any request function;
+ * for a complete HTTP client (transports, interceptors, retries with
+ * backoff) see HttpClient in designPatternsBuilder.js.
  */
 
 class RequestBuilder {
@@ -329,6 +329,1569 @@ store.addReducer('INCREMENT', (state, action) => ({
 store.subscribe(state => console.log('State:', state));
 store.dispatch({ type: 'INCREMENT', payload: 5 });
 
+// -------------------------------------------------------------------------------------------
+// 9. WILDCARD EVENT EMITTER (NAMESPACES, PRIORITIES, ASYNC)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Extends the EventEmitter idea for larger apps:
+ * - Namespaced events with wildcards: "user.*" matches one segment,
+ *   "**" matches any number of segments ("user.**", "**")
+ * - Listener priorities: higher priority runs first
+ * - emitAsync() awaits listeners one after another, emitParallel() together
+ * - waitFor(event, { timeout, signal }) returns a promise that, like Node's
+ *   once(), rejects if an 'error' event is emitted first
+ * - Node-style leak warning when too many listeners share one event
+ * Listeners see the concrete event name as this.event (use a regular function).
+ */
+
+class WildcardEventEmitter {
+    #entries = [];  // { pattern, segments, listener, priority, once, order }
+    #order = 0;
+    #maxListeners = 10;
+    #warned = new Set();
+    
+    static #matches(pattern, event) {
+        const [head, ...rest] = pattern;
+        if (head === undefined) return event.length === 0;
+        if (head === '**') {
+            return WildcardEventEmitter.#matches(rest, event) ||
+                (event.length > 0 && WildcardEventEmitter.#matches(pattern, event.slice(1)));
+        }
+        if (event.length === 0) return false;
+        return (head === '*' || head === event[0]) && WildcardEventEmitter.#matches(rest, event.slice(1));
+    }
+    
+    #add(pattern, listener, priority, once) {
+        this.#entries.push({ pattern, segments: pattern.split('.'), listener, priority, once, order: this.#order++ });
+        
+        const count = this.#entries.filter(entry => entry.pattern === pattern).length;
+        if (this.#maxListeners > 0 && count > this.#maxListeners && !this.#warned.has(pattern)) {
+            this.#warned.add(pattern);
+            console.warn(
+                `MaxListenersExceededWarning: Possible EventEmitter memory leak detected. ` +
+                `${count} "${pattern}" listeners added. Use setMaxListeners() to increase limit`
+            );
+        }
+        return this;
+    }
+    
+    #remove(entry) {
+        this.#entries = this.#entries.filter(e => e !== entry);
+    }
+    
+    // Matching entries, highest priority first, then in registration order
+    #matching(event) {
+        const segments = event.split('.');
+        return this.#entries
+            .filter(entry => WildcardEventEmitter.#matches(entry.segments, segments))
+            .sort((a, b) => b.priority - a.priority || a.order - b.order);
+    }
+    
+    #call(entry, event, args) {
+        if (entry.once) this.#remove(entry);
+        return entry.listener.apply({ event }, args);
+    }
+    
+    on(pattern, listener, { priority = 0 } = {}) {
+        return this.#add(pattern, listener, priority, false);
+    }
+    
+    once(pattern, listener, { priority = 0 } = {}) {
+        return this.#add(pattern, listener, priority, true);
+    }
+    
+    off(pattern, listener) {
+        const entry = this.#entries.find(e => e.pattern === pattern && e.listener === listener);
+        if (entry) this.#remove(entry);
+        return this;
+    }
+    
+    removeAllListeners(pattern) {
+        this.#entries = pattern ? this.#entries.filter(e => e.pattern !== pattern) : [];
+        return this;
+    }
+    
+    setMaxListeners(n) {
+        this.#maxListeners = n;  // 0 disables the warning
+        return this;
+    }
+    
+    listenerCount(event) {
+        return this.#matching(event).length;
+    }
+    
+    emit(event, ...args) {
+        const entries = this.#matching(event);
+        
+        // Like Node: an unhandled 'error' event throws
+        if (event === 'error' && entries.length === 0) {
+            throw args[0] instanceof Error ? args[0] : new Error(`Unhandled error: ${args[0]}`);
+        }
+        entries.forEach(entry => this.#call(entry, event, args));
+        return entries.length > 0;
+    }
+    
+    // Await each listener in turn; resolves with their return values
+    async emitAsync(event, ...args) {
+        const results = [];
+        for (const entry of this.#matching(event)) {
+            results.push(await this.#call(entry, event, args));
+        }
+        return results;
+    }
+    
+    // Start every listener at once; a listener that throws synchronously
+    // rejects the result instead of stopping the others from starting
+    async emitParallel(event, ...args) {
+        return Promise.all(this.#matching(event).map(async entry => this.#call(entry, event, args)));
+    }
+    
+    // Resolves with the emitted arguments
+    waitFor(event, { timeout = 0, signal, filter = () => true } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            
+            let timer;
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.off(event, listener);
+                if (event !== 'error') this.off('error', onError);
+                signal?.removeEventListener('abort', onAbort);
+            };
+            const listener = (...args) => {
+                if (!filter(...args)) return;
+                cleanup();
+                resolve(args);
+            };
+            const onError = (error) => {
+                cleanup();
+                reject(error);
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(signal.reason);
+            };
+            
+            this.on(event, listener);
+            if (event !== 'error') this.on('error', onError);
+            signal?.addEventListener('abort', onAbort, { once: true });
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    cleanup();
+                    reject(new DOMException(`Timed out waiting for "${event}"`, 'TimeoutError'));
+                }, timeout);
+            }
+        });
+    }
+}
+
+// Usage
+const bus = new WildcardEventEmitter();
+
+bus.on('user.login', name => console.log('Welcome,', name));
+bus.on('user.*', function (name) {
+    console.log(`[audit] ${this.event}: ${name}`);
+}, { priority: 10 });  // Runs before the exact listener
+const trace = function () {
+    console.log(`[trace] ${this.event}`);
+};
+bus.on('**', trace, { priority: -1 });
+
+bus.emit('user.login', 'Alice');
+// [audit] user.login: Alice
+// Welcome, Alice
+// [trace] user.login
+
+bus.emit('user.profile.updated', 'Alice');  // Only "**" matches (two segments after "user")
+// [trace] user.profile.updated
+
+bus.off('**', trace);
+
+// Async listeners: serial vs parallel
+const saveTo = (target, ms) => async (doc) => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    return `${doc} saved to ${target}`;
+};
+bus.on('doc.save', saveTo('disk', 30));
+bus.on('doc.save', saveTo('cloud', 10));
+
+(async () => {
+    console.log(await bus.emitAsync('doc.save', 'report'));     // ~40ms
+    console.log(await bus.emitParallel('doc.save', 'report'));  // ~30ms
+    // [ 'report saved to disk', 'report saved to cloud' ] (both)
+
+    setTimeout(() => bus.emit('job.done', 42), 10);
+    const [jobResult] = await bus.waitFor('job.done', { timeout: 1000 });
+    console.log('Job finished with', jobResult);  // Job finished with 42
+
+    await bus.waitFor('never.happens', { timeout: 20 })
+        .catch(error => console.log(error.name));  // TimeoutError
+
+    setTimeout(() => bus.emit('error', new Error('worker crashed')), 10);
+    await bus.waitFor('job.done')
+        .catch(error => console.log(error.message));  // worker crashed
+
+    bus.on('doc.export', () => {
+        throw new Error('exporter missing');
+    });
+    await bus.emitParallel('doc.export', 'report')
+        .catch(error => console.log(error.message));  // exporter missing
+})();
+
+// Leak warning, like Node's
+const leaky = new WildcardEventEmitter().setMaxListeners(2);
+for (let i = 0; i < 3; i++) leaky.on('tick', () => {});
+// MaxListenersExceededWarning: Possible EventEmitter memory leak detected. 3 "tick" listeners added. ...
+
+// -------------------------------------------------------------------------------------------
+// 10. SIGNALS-STYLE REACTIVITY (DEEP PROXY, COMPUTED, EFFECT, BATCHING)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * ReactiveState and reactive() only see top-level writes and need hand-written
+ * subscriptions. Here dependencies are tracked automatically:
+ * - deepReactive(obj): nested objects and arrays are reactive too
+ * - effect(fn): re-runs when anything it read changes; fn may return a cleanup
+ * - computed(getter): cached until one of its dependencies changes
+ * - Effects are batched: many writes in one tick cause a single re-run
+ */
+
+const targetDeps = new WeakMap();  // target -> Map(key -> Set(effect))
+const reactiveProxies = new WeakMap();
+const ITERATE_KEY = Symbol('iterate');
+const effectStack = [];
+const pendingEffects = new Set();
+let flushPromise = null;
+
+class ReactiveEffect {
+    #deps = new Set();  // Every dependency set this effect is in
+    active = true;
+    
+    constructor(fn, scheduler = null) {
+        this.fn = fn;
+        this.scheduler = scheduler;
+    }
+    
+    addDep(dep) {
+        dep.add(this);
+        this.#deps.add(dep);
+    }
+    
+    // Dependencies are collected fresh on every run, so stale branches drop out
+    #clearDeps() {
+        this.#deps.forEach(dep => dep.delete(this));
+        this.#deps.clear();
+    }
+    
+    run() {
+        if (!this.active) return this.fn();
+        this.#clearDeps();
+        effectStack.push(this);
+        try {
+            return this.fn();
+        } finally {
+            effectStack.pop();
+        }
+    }
+    
+    stop() {
+        this.#clearDeps();
+        this.active = false;
+    }
+}
+
+function track(target, key) {
+    const current = effectStack[effectStack.length - 1];
+    if (!current) return;
+    
+    if (!targetDeps.has(target)) targetDeps.set(target, new Map());
+    const deps = targetDeps.get(target);
+    if (!deps.has(key)) deps.set(key, new Set());
+    current.addDep(deps.get(key));
+}
+
+function trigger(target, key) {
+    const dep = targetDeps.get(target)?.get(key);
+    if (!dep) return;
+    
+    [...dep].forEach(runner => {
+        if (runner.scheduler) runner.scheduler();
+        else scheduleEffect(runner);
+    });
+}
+
+function scheduleEffect(runner) {
+    pendingEffects.add(runner);
+    flushPromise ??= Promise.resolve().then(() => {
+        flushPromise = null;
+        const runners = [...pendingEffects];
+        pendingEffects.clear();
+        runners.forEach(r => r.active && r.run());
+    });
+}
+
+// Resolves after pending effects have run
+function nextTick() {
+    return flushPromise ?? Promise.resolve();
+}
+
+function deepReactive(target) {
+    if (typeof target !== 'object' || target === null) return target;
+    if (reactiveProxies.has(target)) return reactiveProxies.get(target);
+    
+    const proxy = new Proxy(target, {
+        get(obj, prop, receiver) {
+            track(obj, prop);
+            return deepReactive(Reflect.get(obj, prop, receiver));  // Wrap nested values lazily
+        },
+        
+        has(obj, prop) {
+            track(obj, prop);
+            return Reflect.has(obj, prop);
+        },
+        
+        ownKeys(obj) {
+            track(obj, Array.isArray(obj) ? 'length' : ITERATE_KEY);
+            return Reflect.ownKeys(obj);
+        },
+        
+        set(obj, prop, value, receiver) {
+            const oldLength = Array.isArray(obj) ? obj.length : undefined;
+            const hadKey = Object.prototype.hasOwnProperty.call(obj, prop);
+            const oldValue = obj[prop];
+            const result = Reflect.set(obj, prop, value, receiver);
+            
+            if (!hadKey) {
+                trigger(obj, prop);
+                trigger(obj, ITERATE_KEY);
+            } else if (!Object.is(oldValue, value)) {
+                trigger(obj, prop);
+            }
+            
+            // Array length changes implicitly: push() writes a new index first,
+            // so its own length write looks unchanged. Compare lengths instead.
+            if (oldLength !== undefined && obj.length !== oldLength) {
+                trigger(obj, 'length');
+                trigger(obj, ITERATE_KEY);
+                for (let i = obj.length; i < oldLength; i++) trigger(obj, String(i));
+            }
+            return result;
+        },
+        
+        deleteProperty(obj, prop) {
+            const hadKey = Object.prototype.hasOwnProperty.call(obj, prop);
+            const result = Reflect.deleteProperty(obj, prop);
+            
+            if (hadKey) {
+                trigger(obj, prop);
+                trigger(obj, ITERATE_KEY);
+            }
+            return result;
+        }
+    });
+    
+    reactiveProxies.set(target, proxy);
+    return proxy;
+}
+
+// Returns a stop function
+function effect(fn) {
+    let cleanup;
+    const runner = new ReactiveEffect(() => {
+        if (typeof cleanup === 'function') cleanup();
+        cleanup = fn();
+    });
+    
+    runner.run();
+    return () => {
+        if (typeof cleanup === 'function') cleanup();
+        cleanup = undefined;
+        runner.stop();
+    };
+}
+
+function computed(getter) {
+    let value;
+    let dirty = true;
+    
+    // A dependency change only marks the value stale; it is recomputed on next read
+    const runner = new ReactiveEffect(getter, () => {
+        if (!dirty) {
+            dirty = true;
+            trigger(ref, 'value');
+        }
+    });
+    
+    const ref = {
+        get value() {
+            if (dirty) {
+                value = runner.run();
+                dirty = false;
+            }
+            track(ref, 'value');
+            return value;
+        }
+    };
+    return ref;
+}
+
+// Usage
+const cart = deepReactive({
+    owner: { name: 'Alice' },
+    items: [{ name: 'Book', price: 12, qty: 1 }]
+});
+
+let totalRuns = 0;
+const cartTotal = computed(() => {
+    totalRuns++;
+    return cart.items.reduce((sum, item) => sum + item.price * item.qty, 0);
+});
+
+console.log(cartTotal.value, cartTotal.value);  // 12 12
+console.log('total computed', totalRuns, 'time(s)');  // 1 (cached)
+
+const stopCartEffect = effect(() => {
+    console.log(`${cart.owner.name}'s cart: ${cart.items.length} item(s), $${cartTotal.value}`);
+    return () => console.log('  (cleaning up previous render)');
+});
+// Alice's cart: 1 item(s), $12
+
+// Three writes, one re-run
+cart.items[0].qty = 2;                              // Nested write is tracked
+cart.items.push({ name: 'Pen', price: 3, qty: 1 });
+cart.owner.name = 'Bob';
+
+nextTick().then(() => {
+    // (cleaning up previous render)
+    // Bob's cart: 2 item(s), $27
+    stopCartEffect();  // (cleaning up previous render)
+    cart.owner.name = 'Carol';  // No longer logged
+});
+
+// Arrays: push/splice change length without any other tracked write
+const scores = deepReactive([1, 2]);
+const scoreSum = computed(() => scores.reduce((sum, score) => sum + score, 0));
+effect(() => console.log(`${scores.length} score(s), sum ${scoreSum.value}`));
+// 2 score(s), sum 3
+
+scores.push(10);                             // 3 score(s), sum 13
+nextTick().then(() => scores.splice(0, 2));  // 1 score(s), sum 10
+
+// -------------------------------------------------------------------------------------------
+// 11. REDUX-STYLE STORE (MIDDLEWARE, SELECTORS, TIME TRAVEL)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Grows the Store above into the Redux shape:
+ * - createStore(reducer, preloadedState, enhancer)
+ * - applyMiddleware(...): thunk (async actions) and logger included
+ * - combineReducers({ slice: reducer }): each reducer owns one slice of state
+ * - createSelector(...inputs, compute): recomputes only when inputs change
+ * - TimeTravelRecorder: step back/forward, export/import a session
+ */
+
+const INIT_ACTION = { type: '@@store/INIT' };
+
+function createStore(reducer, preloadedState, enhancer) {
+    if (enhancer) return enhancer(createStore)(reducer, preloadedState);
+    
+    let state = preloadedState;
+    let dispatching = false;
+    const listeners = new Set();
+    
+    function dispatch(action) {
+        if (!isPlainObject(action)) {
+            throw new Error('Actions must be plain objects. Use middleware for async actions.');
+        }
+        if (dispatching) throw new Error('Reducers may not dispatch actions');
+        
+        try {
+            dispatching = true;
+            state = reducer(state, action);
+        } finally {
+            dispatching = false;
+        }
+        [...listeners].forEach(listener => listener());
+        return action;
+    }
+    
+    dispatch(INIT_ACTION);  // Lets every reducer fill in its default state
+    
+    return {
+        dispatch,
+        getState: () => state,
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function combineReducers(reducers) {
+    return (state = {}, action) => {
+        let changed = false;
+        const next = {};
+        
+        for (const [key, reducer] of Object.entries(reducers)) {
+            next[key] = reducer(state[key], action);
+            changed ||= next[key] !== state[key];
+        }
+        return changed ? next : state;  // Keep the old reference so selectors stay cached
+    };
+}
+
+// middleware: ({ getState, dispatch }) => next => action => result
+function applyMiddleware(...middlewares) {
+    return createStore => (reducer, preloadedState) => {
+        const store = createStore(reducer, preloadedState);
+        let dispatch = () => {
+            throw new Error('Dispatching while constructing middleware is not allowed');
+        };
+        
+        const api = { getState: store.getState, dispatch: action => dispatch(action) };
+        dispatch = middlewares
+            .map(middleware => middleware(api))
+            .reduceRight((next, middleware) => middleware(next), store.dispatch);
+        
+        return { ...store, dispatch };
+    };
+}
+
+const thunkMiddleware = ({ dispatch, getState }) => next => action =>
+    typeof action === 'function' ? action(dispatch, getState) : next(action);
+
+const loggerMiddleware = ({ getState }) => next => action => {
+    const result = next(action);
+    console.log(`[store] ${action.type} ->`, JSON.stringify(getState()));
+    return result;
+};
+
+function createSelector(...args) {
+    const compute = args.pop();
+    const inputs = args;
+    let lastInputs = null;
+    let lastResult;
+    let recomputations = 0;
+    
+    const selector = state => {
+        const values = inputs.map(input => input(state));
+        if (!lastInputs || values.some((value, i) => value !== lastInputs[i])) {
+            lastResult = compute(...values);
+            lastInputs = values;
+            recomputations++;
+        }
+        return lastResult;
+    };
+    selector.recomputations = () => recomputations;
+    return selector;
+}
+
+/**
+ * Records every plain action with the state it produced. Install both parts:
+ *   createStore(recorder.wrap(reducer), undefined, applyMiddleware(thunk, recorder.middleware))
+ * Jumping dispatches a special action that the wrapped reducer answers with
+ * the recorded state, so subscribers re-render like for any other change.
+ */
+class TimeTravelRecorder {
+    static JUMP = '@@timetravel/JUMP';
+    
+    #reducer = null;
+    #api = null;
+    #history = [];  // [{ action, state }], entry 0 is the initial state
+    #index = 0;
+    
+    wrap(reducer) {
+        this.#reducer = reducer;
+        return (state, action) =>
+            action.type === TimeTravelRecorder.JUMP ? action.state : reducer(state, action);
+    }
+    
+    middleware = api => {
+        this.#api = api;
+        this.#history = [{ action: INIT_ACTION, state: api.getState() }];
+        
+        return next => action => {
+            const result = next(action);
+            if (action.type !== TimeTravelRecorder.JUMP) {
+                // A new action after stepping back discards the undone future
+                this.#history = this.#history.slice(0, this.#index + 1);
+                this.#history.push({ action, state: this.#api.getState() });
+                this.#index = this.#history.length - 1;
+            }
+            return result;
+        };
+    };
+    
+    get actions() {
+        return this.#history.slice(1).map(entry => entry.action);
+    }
+    
+    get position() {
+        return { index: this.#index, length: this.#history.length };
+    }
+    
+    jumpTo(index) {
+        if (index < 0 || index >= this.#history.length) return false;
+        this.#index = index;
+        this.#api.dispatch({ type: TimeTravelRecorder.JUMP, state: this.#history[index].state });
+        return true;
+    }
+    
+    stepBack() {
+        return this.jumpTo(this.#index - 1);
+    }
+    
+    stepForward() {
+        return this.jumpTo(this.#index + 1);
+    }
+    
+    export() {
+        return JSON.stringify({
+            initialState: this.#history[0].state,
+            actions: this.actions,
+            index: this.#index
+        });
+    }
+    
+    // Recomputes every state by replaying the actions through the reducer
+    import(json) {
+        const { initialState, actions, index } = JSON.parse(json);
+        
+        let current = initialState;
+        this.#history = [{ action: INIT_ACTION, state: current }];
+        for (const action of actions) {
+            current = this.#reducer(current, action);
+            this.#history.push({ action, state: current });
+        }
+        this.jumpTo(index);
+    }
+}
+
+// Usage
+const counterSlice = (state = 0, action) => {
+    switch (action.type) {
+        case 'counter/increment': return state + (action.payload ?? 1);
+        case 'counter/reset': return 0;
+        default: return state;
+    }
+};
+
+const todosSlice = (state = [], action) => {
+    switch (action.type) {
+        case 'todos/added': return [...state, { text: action.payload, done: false }];
+        case 'todos/toggled': return state.map((todo, i) => i === action.payload ? { ...todo, done: !todo.done } : todo);
+        default: return state;
+    }
+};
+
+const rootReducer = combineReducers({ counter: counterSlice, todos: todosSlice });
+const recorder = new TimeTravelRecorder();
+const appStore = createStore(
+    recorder.wrap(rootReducer),
+    undefined,
+    applyMiddleware(thunkMiddleware, loggerMiddleware, recorder.middleware)
+);
+
+const selectTodos = state => state.todos;
+const selectOpenTodos = createSelector(selectTodos, todos => todos.filter(todo => !todo.done));
+
+// Async action: thunks receive dispatch and getState
+const loadTodos = () => async (dispatch) => {
+    const texts = await new Promise(resolve => setTimeout(() => resolve(['Write docs', 'Ship it']), 10));
+    texts.forEach(text => dispatch({ type: 'todos/added', payload: text }));
+};
+
+(async () => {
+    await appStore.dispatch(loadTodos());
+    // [store] todos/added -> {"counter":0,"todos":[{"text":"Write docs","done":false}]}
+    // [store] todos/added -> ...
+    appStore.dispatch({ type: 'todos/toggled', payload: 0 });
+    appStore.dispatch({ type: 'counter/increment', payload: 5 });
+    
+    selectOpenTodos(appStore.getState());
+    selectOpenTodos(appStore.getState());  // Same todos array: cached
+    console.log('open todos:', selectOpenTodos(appStore.getState()).length,
+        '| recomputed', selectOpenTodos.recomputations(), 'time(s)');  // open todos: 1 | recomputed 1 time(s)
+    
+    recorder.stepBack();                        // Before counter/increment
+    recorder.stepBack();                        // Before todos/toggled
+    console.log('rewound:', JSON.stringify(appStore.getState()), recorder.position);
+    recorder.stepForward();
+    
+    // Hand the session to someone else and restore it in a fresh store
+    const session = recorder.export();
+    const replayRecorder = new TimeTravelRecorder();
+    const replayStore = createStore(
+        replayRecorder.wrap(rootReducer),
+        undefined,
+        applyMiddleware(replayRecorder.middleware)
+    );
+    replayRecorder.import(session);
+    console.log('imported:', JSON.stringify(replayStore.getState()), replayRecorder.position);
+    // Same state as appStore, at the same position (index 3 of 5)
+})();
+
+// -------------------------------------------------------------------------------------------
+// 12. HIERARCHICAL PUB/SUB BROKER (MQTT-STYLE TOPICS, RETAIN, REPLAY, ACK)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * An instance-based alternative to the static PubSub above:
+ * - Topics are "/"-separated levels; filters may use "+" (exactly one level)
+ *   and a trailing "#" (any remaining levels, including none)
+ * - publish(topic, payload, { retain: true }) keeps the last message per topic
+ * - The broker keeps the last `replay` messages per topic for late subscribers
+ * - Subscribers with { ack: true } must call message.ack(); unacknowledged
+ *   messages are redelivered (at-least-once) and end up in deadLetters
+ * - A throwing subscriber never affects the others: its error goes to
+ *   deadLetters and the optional onError hook
+ */
+
+class TopicBroker {
+    #subscriptions = new Set();
+    #retained = new Map();  // topic -> message
+    #buffers = new Map();   // topic -> last N messages
+    #replay;
+    #onError;
+    #seq = 0;
+    deadLetters = [];
+    
+    constructor({ replay = 0, onError = null } = {}) {
+        this.#replay = replay;
+        this.#onError = onError;
+    }
+    
+    static matches(filter, topic) {
+        const filterLevels = filter.split('/');
+        const topicLevels = topic.split('/');
+        
+        for (let i = 0; i < filterLevels.length; i++) {
+            if (filterLevels[i] === '#') return true;
+            if (i >= topicLevels.length) return false;
+            if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+        }
+        return filterLevels.length === topicLevels.length;
+    }
+    
+    static #validateFilter(filter) {
+        const levels = filter.split('/');
+        levels.forEach((level, i) => {
+            if (level === '#' && i !== levels.length - 1) {
+                throw new Error(`"#" must be the last level in "${filter}"`);
+            }
+            if (level !== '#' && level !== '+' && /[#+]/.test(level)) {
+                throw new Error(`Wildcards must fill a whole level in "${filter}"`);
+            }
+        });
+    }
+    
+    subscribe(filter, handler, { ack = false, ackTimeout = 1000, maxAttempts = 3, retryDelay = 0, replay = true } = {}) {
+        TopicBroker.#validateFilter(filter);
+        const subscription = { filter, handler, ack, ackTimeout, maxAttempts, retryDelay, active: true };
+        this.#subscriptions.add(subscription);
+        
+        if (replay) {
+            this.#history(filter).forEach(message => {
+                this.#dispatch(subscription, message).catch(error => this.#deadLetter(subscription, message, error));
+            });
+        }
+        
+        return () => {
+            subscription.active = false;
+            this.#subscriptions.delete(subscription);
+        };
+    }
+    
+    // Resolves once every subscriber has received (and, if required, acked) the message
+    async publish(topic, payload, { retain = false } = {}) {
+        if (/[#+]/.test(topic)) throw new Error(`Cannot publish to a wildcard topic "${topic}"`);
+        
+        const message = { id: ++this.#seq, topic, payload, timestamp: Date.now(), retained: retain };
+        
+        if (retain) {
+            // Like MQTT, a retained empty payload clears the retained message
+            if (payload === undefined || payload === null) this.#retained.delete(topic);
+            else this.#retained.set(topic, message);
+        }
+        if (this.#replay > 0) {
+            const buffer = this.#buffers.get(topic) ?? [];
+            buffer.push(message);
+            this.#buffers.set(topic, buffer.slice(-this.#replay));
+        }
+        
+        const matching = [...this.#subscriptions].filter(sub => TopicBroker.matches(sub.filter, topic));
+        const results = await Promise.all(matching.map(sub => this.#dispatch(sub, message)));
+        
+        return {
+            id: message.id,
+            delivered: results.filter(Boolean).length,
+            deadLettered: results.filter(result => !result).length
+        };
+    }
+    
+    retained(topic) {
+        return this.#retained.get(topic)?.payload;
+    }
+    
+    // Retained and buffered messages for every matching topic, oldest first
+    #history(filter) {
+        const byId = new Map();
+        for (const [topic, message] of this.#retained) {
+            if (TopicBroker.matches(filter, topic)) byId.set(message.id, message);
+        }
+        for (const [topic, buffer] of this.#buffers) {
+            if (TopicBroker.matches(filter, topic)) buffer.forEach(message => byId.set(message.id, message));
+        }
+        return [...byId.values()].sort((a, b) => a.id - b.id);
+    }
+    
+    #deadLetter(subscription, message, error) {
+        this.deadLetters.push({ message, filter: subscription.filter, error });
+        this.#onError?.(error, message);
+        return false;
+    }
+    
+    async #dispatch(subscription, message) {
+        if (!subscription.ack) {
+            // Sync throws and async rejections alike stay with this subscriber
+            return Promise.resolve()
+                .then(() => subscription.handler(message))
+                .then(() => true, error => this.#deadLetter(subscription, message, error));
+        }
+        
+        let lastError = null;
+        for (let attempt = 1; attempt <= subscription.maxAttempts; attempt++) {
+            if (!subscription.active) return false;
+            
+            let timer;
+            let ack;
+            const acked = new Promise(resolve => { ack = () => resolve(true); });
+            const timedOut = new Promise(resolve => {
+                timer = setTimeout(() => resolve(false), subscription.ackTimeout);
+            });
+            // A rejected handler counts as a negative acknowledgement
+            const failed = Promise.resolve()
+                .then(() => subscription.handler({ ...message, attempt, ack }))
+                .then(() => new Promise(() => {}), error => {
+                    lastError = error;
+                    return false;
+                });
+            
+            const ok = await Promise.race([acked, timedOut, failed]);
+            clearTimeout(timer);
+            if (ok) return true;
+            
+            if (attempt < subscription.maxAttempts && subscription.retryDelay > 0) {
+                await new Promise(resolve => setTimeout(resolve, subscription.retryDelay));
+            }
+        }
+        
+        return this.#deadLetter(subscription, message, lastError);
+    }
+}
+
+// Usage
+const broker = new TopicBroker({ replay: 2 });
+
+broker.subscribe('orders/+/created', message => {
+    console.log(`[${message.topic}] created #${message.payload.id}`);
+});
+
+broker.publish('orders/eu/created', { id: 1 });  // [orders/eu/created] created #1
+broker.publish('orders/us/created', { id: 2 });  // [orders/us/created] created #2
+broker.publish('orders/eu/created', { id: 3 });  // [orders/eu/created] created #3
+broker.publish('orders/eu/created', { id: 4 });  // [orders/eu/created] created #4
+broker.publish('devices/thermostat/status', { temp: 21 }, { retain: true });
+
+// Late subscribers: the last 2 messages per matching topic are replayed
+broker.subscribe('orders/#', message => {
+    console.log(`  replayed to late subscriber: ${message.topic} #${message.payload.id}`);
+});
+//   replayed to late subscriber: orders/us/created #2
+//   replayed to late subscriber: orders/eu/created #3
+//   replayed to late subscriber: orders/eu/created #4
+
+console.log('thermostat (retained):', broker.retained('devices/thermostat/status'));  // { temp: 21 }
+
+// One broken subscriber does not stop delivery to the others
+const alertsBroker = new TopicBroker({
+    onError: (error, message) => console.log(`subscriber failed on ${message.topic}: ${error.message}`)
+});
+alertsBroker.subscribe('alerts/#', () => { throw new Error('bad subscriber'); });
+alertsBroker.subscribe('alerts/#', message => console.log('alert received:', message.payload));
+alertsBroker.publish('alerts/disk', 'disk 91% full').then(result => {
+    console.log('alert delivery:', result);  // { id: 1, delivered: 1, deadLettered: 1 }
+});
+// alert received: disk 91% full
+// subscriber failed on alerts/disk: bad subscriber
+
+// At-least-once: a failed or silent consumer gets the message again
+const paymentsBroker = new TopicBroker();
+
+paymentsBroker.subscribe('payments/#', async message => {
+    if (message.attempt === 1) throw new Error('DB connection lost');
+    console.log(`charged ${message.payload.amount} on attempt ${message.attempt}`);
+    message.ack();
+}, { ack: true, retryDelay: 5 });
+
+paymentsBroker.subscribe('payments/#', async () => {
+    // Never acks
+}, { ack: true, ackTimeout: 10, maxAttempts: 2 });
+
+paymentsBroker.publish('payments/card', { amount: 30 }).then(result => {
+    console.log('payment delivery:', result);  // { id: 1, delivered: 1, deadLettered: 1 }
+    console.log('dead letters:', paymentsBroker.deadLetters.map(dead => dead.message.topic));  // ['payments/card']
+});
+// charged 30 on attempt 2
+
+// -------------------------------------------------------------------------------------------
+// 13. COLD OBSERVABLES WITH OPERATORS (RXJS-STYLE)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Observable and AsyncObservable above are observer lists: values are pushed
+ * to whoever is subscribed right now (hot). A cold observable is a function
+ * that starts producing only when subscribed, once per subscriber:
+ * - subscribe({ next, error, complete }) returns a Subscription for teardown
+ * - After error/complete nothing else is delivered and teardown runs
+ * - Pipeable operators: source.pipe(map(...), filter(...), ...)
+ * - share() turns a cold source hot (one producer, many subscribers)
+ * - Interop: from() promises, iterables, async iterables; fromEvent() for
+ *   DOM EventTargets; `for await` over any observable
+ * - Time-based operators take a scheduler, so TestScheduler can run them in
+ *   virtual time for marble tests
+ */
+
+class Subscription {
+    #teardowns = [];
+    closed = false;
+    
+    add(teardown) {
+        if (!teardown) return;
+        if (this.closed) Subscription.#run(teardown);
+        else this.#teardowns.push(teardown);
+    }
+    
+    unsubscribe() {
+        if (this.closed) return;
+        this.closed = true;
+        this.#teardowns.splice(0).forEach(Subscription.#run);
+    }
+    
+    static #run(teardown) {
+        if (typeof teardown === 'function') teardown();
+        else teardown.unsubscribe();
+    }
+}
+
+const asyncScheduler = {
+    now: () => Date.now(),
+    
+    // Returns a cancel function
+    schedule(work, delay = 0) {
+        const id = setTimeout(work, delay);
+        return () => clearTimeout(id);
+    }
+};
+
+class ColdObservable {
+    #producer;
+    
+    // producer(subscriber) may return a teardown function or Subscription
+    constructor(producer) {
+        this.#producer = producer;
+    }
+    
+    subscribe(observerOrNext = {}) {
+        const observer = typeof observerOrNext === 'function' ? { next: observerOrNext } : observerOrNext;
+        const subscription = new Subscription();
+        let stopped = false;
+        
+        const subscriber = {
+            next(value) {
+                if (!stopped && !subscription.closed) observer.next?.(value);
+            },
+            error(error) {
+                if (stopped || subscription.closed) return;
+                stopped = true;
+                try {
+                    if (observer.error) observer.error(error);
+                    else setTimeout(() => { throw error; });  // Like RxJS: unhandled errors surface asynchronously
+                } finally {
+                    subscription.unsubscribe();
+                }
+            },
+            complete() {
+                if (stopped || subscription.closed) return;
+                stopped = true;
+                try {
+                    observer.complete?.();
+                } finally {
+                    subscription.unsubscribe();
+                }
+            },
+            get closed() {
+                return stopped || subscription.closed;
+            }
+        };
+        
+        try {
+            subscription.add(this.#producer(subscriber));
+        } catch (error) {
+            subscriber.error(error);
+        }
+        return subscription;
+    }
+    
+    pipe(...operators) {
+        return operators.reduce((source, operator) => operator(source), this);
+    }
+    
+    // Consume with `for await`; values are buffered until the loop asks for them
+    async *[Symbol.asyncIterator]() {
+        const queue = [];
+        let wake = null;
+        let done = false;
+        let failure = null;
+        
+        const subscription = this.subscribe({
+            next: value => { queue.push(value); wake?.(); },
+            error: error => { failure = { error }; wake?.(); },
+            complete: () => { done = true; wake?.(); }
+        });
+        
+        try {
+            while (true) {
+                if (queue.length) {
+                    yield queue.shift();
+                    continue;
+                }
+                if (failure) throw failure.error;
+                if (done) return;
+                await new Promise(resolve => { wake = resolve; });
+                wake = null;
+            }
+        } finally {
+            subscription.unsubscribe();
+        }
+    }
+    
+    static of(...values) {
+        return ColdObservable.from(values);
+    }
+    
+    static from(input) {
+        if (input instanceof ColdObservable) return input;
+        
+        if (typeof input?.then === 'function') {
+            return new ColdObservable(subscriber => {
+                input.then(value => {
+                    subscriber.next(value);
+                    subscriber.complete();
+                }, error => subscriber.error(error));
+            });
+        }
+        
+        if (typeof input?.[Symbol.asyncIterator] === 'function') {
+            return new ColdObservable(subscriber => {
+                const iterator = input[Symbol.asyncIterator]();
+                let cancelled = false;
+                
+                (async () => {
+                    try {
+                        while (!cancelled) {
+                            const { value, done } = await iterator.next();
+                            if (done || cancelled) break;
+                            subscriber.next(value);
+                        }
+                        subscriber.complete();
+                    } catch (error) {
+                        subscriber.error(error);
+                    }
+                })();
+                
+                return () => {
+                    cancelled = true;
+                    iterator.return?.();
+                };
+            });
+        }
+        
+        if (typeof input?.[Symbol.iterator] === 'function') {
+            return new ColdObservable(subscriber => {
+                for (const value of input) {
+                    if (subscriber.closed) return;
+                    subscriber.next(value);
+                }
+                subscriber.complete();
+            });
+        }
+        
+        throw new TypeError(`Cannot create an observable from ${input}`);
+    }
+    
+    // Works with DOM EventTargets and Node-style emitters
+    static fromEvent(target, type, options) {
+        return new ColdObservable(subscriber => {
+            const handler = event => subscriber.next(event);
+            
+            if (typeof target.addEventListener === 'function') {
+                target.addEventListener(type, handler, options);
+                return () => target.removeEventListener(type, handler, options);
+            }
+            target.on(type, handler);
+            return () => target.off(type, handler);
+        });
+    }
+    
+    static timer(delay, scheduler = asyncScheduler) {
+        return new ColdObservable(subscriber => scheduler.schedule(() => {
+            subscriber.next(0);
+            subscriber.complete();
+        }, delay));
+    }
+    
+    static interval(period, scheduler = asyncScheduler) {
+        return new ColdObservable(subscriber => {
+            let count = 0;
+            let cancel;
+            const tick = () => {
+                cancel = scheduler.schedule(tick, period);
+                subscriber.next(count++);
+            };
+            cancel = scheduler.schedule(tick, period);
+            return () => cancel();
+        });
+    }
+}
+
+// Forwards error/complete, and turns exceptions thrown by `next` into errors
+function forward(subscriber, next) {
+    return {
+        next(value) {
+            try {
+                next(value);
+            } catch (error) {
+                subscriber.error(error);
+            }
+        },
+        error: error => subscriber.error(error),
+        complete: () => subscriber.complete()
+    };
+}
+
+const map = project => source => new ColdObservable(subscriber => {
+    let index = 0;
+    return source.subscribe(forward(subscriber, value => subscriber.next(project(value, index++))));
+});
+
+const filter = predicate => source => new ColdObservable(subscriber => {
+    let index = 0;
+    return source.subscribe(forward(subscriber, value => {
+        if (predicate(value, index++)) subscriber.next(value);
+    }));
+});
+
+// Emits a value only after `dueTime` passes without another one
+const debounceTime = (dueTime, scheduler = asyncScheduler) => source => new ColdObservable(subscriber => {
+    let cancel = null;
+    let pending;
+    
+    const flush = () => {
+        cancel = null;
+        subscriber.next(pending);
+    };
+    
+    const subscription = source.subscribe({
+        next(value) {
+            cancel?.();
+            pending = value;
+            cancel = scheduler.schedule(flush, dueTime);
+        },
+        error(error) {
+            cancel?.();
+            subscriber.error(error);
+        },
+        complete() {
+            if (cancel) {
+                cancel();
+                flush();
+            }
+            subscriber.complete();
+        }
+    });
+    
+    return () => {
+        cancel?.();
+        subscription.unsubscribe();
+    };
+});
+
+// Maps each value to an inner observable, dropping the previous inner one
+const switchMap = project => source => new ColdObservable(subscriber => {
+    let inner = null;
+    let active = null;  // Token of the inner subscription that may still emit
+    let outerDone = false;
+    let index = 0;
+    
+    const outer = source.subscribe({
+        next(value) {
+            inner?.unsubscribe();
+            const token = {};
+            active = token;
+            
+            try {
+                inner = ColdObservable.from(project(value, index++)).subscribe({
+                    next: innerValue => subscriber.next(innerValue),
+                    error: error => subscriber.error(error),
+                    complete() {
+                        if (active !== token) return;
+                        active = null;
+                        if (outerDone) subscriber.complete();
+                    }
+                });
+            } catch (error) {
+                subscriber.error(error);
+            }
+        },
+        error: error => subscriber.error(error),
+        complete() {
+            outerDone = true;
+            if (!active) subscriber.complete();
+        }
+    });
+    
+    return () => {
+        inner?.unsubscribe();
+        outer.unsubscribe();
+    };
+});
+
+// Maps each value to an inner observable and runs them side by side
+const mergeMap = (project, concurrency = Infinity) => source => new ColdObservable(subscriber => {
+    const inners = new Set();
+    const buffer = [];
+    let active = 0;
+    let outerDone = false;
+    let index = 0;
+    
+    const subscribeInner = value => {
+        active++;
+        let done = false;
+        let subscription;
+        
+        try {
+            subscription = ColdObservable.from(project(value, index++)).subscribe({
+                next: innerValue => subscriber.next(innerValue),
+                error: error => subscriber.error(error),
+                complete() {
+                    done = true;
+                    active--;
+                    inners.delete(subscription);
+                    if (buffer.length) subscribeInner(buffer.shift());
+                    else if (outerDone && active === 0) subscriber.complete();
+                }
+            });
+        } catch (error) {
+            subscriber.error(error);
+            return;
+        }
+        if (!done) inners.add(subscription);
+    };
+    
+    const outer = source.subscribe({
+        next(value) {
+            if (active < concurrency) subscribeInner(value);
+            else buffer.push(value);
+        },
+        error: error => subscriber.error(error),
+        complete() {
+            outerDone = true;
+            if (active === 0 && buffer.length === 0) subscriber.complete();
+        }
+    });
+    
+    return () => {
+        inners.forEach(subscription => subscription.unsubscribe());
+        outer.unsubscribe();
+    };
+});
+
+// Completes as soon as `notifier` emits
+const takeUntil = notifier => source => new ColdObservable(subscriber => {
+    const stop = ColdObservable.from(notifier).subscribe({
+        next: () => subscriber.complete(),
+        error: error => subscriber.error(error)
+    });
+    if (subscriber.closed) return stop;
+    
+    const subscription = source.subscribe(subscriber);
+    return () => {
+        stop.unsubscribe();
+        subscription.unsubscribe();
+    };
+});
+
+// Resubscribes to the (cold) source after an error, up to `count` times
+const retry = (count = Infinity) => source => new ColdObservable(subscriber => {
+    let attempts = 0;
+    let current = null;
+    
+    const subscribe = () => {
+        const subscription = source.subscribe({
+            next: value => subscriber.next(value),
+            error(error) {
+                if (attempts++ < count) subscribe();
+                else subscriber.error(error);
+            },
+            complete: () => subscriber.complete()
+        });
+        // A synchronous error already resubscribed; keep the newest one
+        if (!subscription.closed) current = subscription;
+    };
+    
+    subscribe();
+    return () => current?.unsubscribe();
+});
+
+// One shared subscription to the source while anyone is listening (ref-counted)
+const share = () => source => {
+    const observers = new Set();
+    let connection = null;
+    
+    const broadcast = method => value => {
+        const targets = [...observers];
+        if (method !== 'next') {
+            observers.clear();
+            connection = null;  // The next subscriber starts a fresh run
+        }
+        targets.forEach(observer => observer[method](value));
+    };
+    
+    return new ColdObservable(subscriber => {
+        observers.add(subscriber);
+        
+        if (!connection) {
+            const subscription = source.subscribe({
+                next: broadcast('next'),
+                error: broadcast('error'),
+                complete: broadcast('complete')
+            });
+            if (!subscription.closed) connection = subscription;
+        }
+        
+        return () => {
+            observers.delete(subscriber);
+            if (observers.size === 0 && connection) {
+                connection.unsubscribe();
+                connection = null;
+            }
+        };
+    });
+};
+
+/**
+ * Virtual time for tests. Marble syntax, one character per frame:
+ *   "-" nothing happens   "a" emits values.a (or "a")   "|" complete
+ *   "#" error             "(ab)" emit a and b in the same frame
+ */
+class TestScheduler {
+    #actions = [];
+    #seq = 0;
+    #assertions = [];
+    frame = 0;
+    
+    now() {
+        return this.frame;
+    }
+    
+    schedule(work, delay = 0) {
+        const action = { time: this.frame + delay, seq: this.#seq++, work, cancelled: false };
+        this.#actions.push(action);
+        return () => { action.cancelled = true; };
+    }
+    
+    flush() {
+        while (this.#actions.length) {
+            this.#actions.sort((a, b) => a.time - b.time || a.seq - b.seq);
+            const action = this.#actions.shift();
+            if (action.cancelled) continue;
+            this.frame = action.time;
+            action.work();
+        }
+    }
+    
+    static parseMarbles(marbles, values = {}, error = 'error') {
+        const notifications = [];
+        let frame = 0;
+        let groupStart = -1;
+        
+        for (const char of marbles.replace(/ /g, '')) {
+            const at = groupStart >= 0 ? groupStart : frame;
+            
+            if (char === '(') groupStart = frame;
+            else if (char === ')') groupStart = -1;
+            else if (char === '|') notifications.push({ frame: at, kind: 'complete' });
+            else if (char === '#') notifications.push({ frame: at, kind: 'error', value: error });
+            else if (char !== '-') notifications.push({ frame: at, kind: 'next', value: char in values ? values[char] : char });
+            frame++;
+        }
+        return notifications;
+    }
+    
+    // Each subscriber gets its own run, starting at the frame it subscribed
+    cold(marbles, values, error) {
+        const notifications = TestScheduler.parseMarbles(marbles, values, error);
+        
+        return new ColdObservable(subscriber => {
+            const cancels = notifications.map(({ frame, kind, value }) =>
+                this.schedule(() => subscriber[kind](value), frame));
+            return () => cancels.forEach(cancel => cancel());
+        });
+    }
+    
+    // Emits on its own timeline; late subscribers miss earlier frames
+    hot(marbles, values, error) {
+        const observers = new Set();
+        TestScheduler.parseMarbles(marbles, values, error).forEach(({ frame, kind, value }) => {
+            this.schedule(() => [...observers].forEach(observer => observer[kind](value)), frame);
+        });
+        
+        return new ColdObservable(subscriber => {
+            observers.add(subscriber);
+            return () => observers.delete(subscriber);
+        });
+    }
+    
+    expectObservable(observable) {
+        const actual = [];
+        const record = kind => value => actual.push({ frame: this.frame, kind, ...(kind === 'complete' ? {} : { value }) });
+        observable.subscribe({ next: record('next'), error: record('error'), complete: record('complete') });
+        
+        return {
+            toBe: (marbles, values, error) => {
+                this.#assertions.push(() => {
+                    const expected = TestScheduler.parseMarbles(marbles, values, error);
+                    const normalize = list => JSON.stringify(list.map(n =>
+                        n.kind === 'error' && n.value instanceof Error ? { ...n, value: n.value.message } : n));
+                    
+                    if (normalize(actual) !== normalize(expected)) {
+                        throw new Error(`Marble mismatch\n  expected: ${normalize(expected)}\n  actual:   ${normalize(actual)}`);
+                    }
+                });
+            }
+        };
+    }
+    
+    run(callback) {
+        callback({
+            cold: this.cold.bind(this),
+            hot: this.hot.bind(this),
+            expectObservable: this.expectObservable.bind(this)
+        });
+        this.flush();
+        this.#assertions.splice(0).forEach(assert => assert());
+    }
+}
+
+// Usage: cold - nothing happens until subscribe, and each subscriber gets its own run
+const numbers$ = ColdObservable.of(1, 2, 3, 4, 5).pipe(
+    filter(n => n % 2 === 1),
+    map(n => n * 10)
+);
+numbers$.subscribe({
+    next: n => console.log('odd x10:', n),  // 10, 30, 50
+    complete: () => console.log('numbers complete')
+});
+
+// Teardown: takeUntil unsubscribes the interval (its timer is cleared)
+ColdObservable.interval(10).pipe(
+    takeUntil(ColdObservable.timer(35))
+).subscribe({
+    next: tick => console.log('tick', tick),   // tick 0, tick 1, tick 2
+    complete: () => console.log('ticks stopped')
+});
+
+// Typeahead over DOM-style events: debounce, then switch to the latest search
+const searchBox = new EventTarget();
+const fakeSearch = query => new Promise(resolve => setTimeout(() => resolve(`results for "${query}"`), 5));
+
+ColdObservable.fromEvent(searchBox, 'input').pipe(
+    map(event => event.detail),
+    debounceTime(20),
+    switchMap(query => fakeSearch(query))
+).subscribe(result => console.log(result));  // results for "obse" (only the last keystroke)
+
+['o', 'ob', 'obs', 'obse'].forEach(text => searchBox.dispatchEvent(new CustomEvent('input', { detail: text })));
+
+// retry resubscribes, which re-runs the cold producer
+let connectAttempts = 0;
+const flakyConnection$ = new ColdObservable(subscriber => {
+    connectAttempts++;
+    if (connectAttempts < 3) throw new Error(`attempt ${connectAttempts} failed`);
+    subscriber.next(`connected on attempt ${connectAttempts}`);
+    subscriber.complete();
+});
+flakyConnection$.pipe(retry(2)).subscribe({
+    next: message => console.log(message),  // connected on attempt 3
+    error: error => console.log('gave up:', error.message)
+});
+
+// share: one producer run for all subscribers while connected (hot)
+let producerRuns = 0;
+const prices$ = new ColdObservable(subscriber => {
+    producerRuns++;
+    const cancel = asyncScheduler.schedule(() => {
+        subscriber.next(101.5);
+        subscriber.complete();
+    }, 5);
+    return cancel;
+}).pipe(share());
+prices$.subscribe(price => console.log('chart got', price));
+prices$.subscribe(price => console.log('ticker got', price));
+console.log('shared producer runs:', producerRuns);  // 1
+// chart got 101.5 / ticker got 101.5
+
+// mergeMap + async iterable interop both ways
+async function* pages() {
+    yield 1;
+    yield 2;
+}
+const loadPage = page => Promise.resolve([`item ${page}a`, `item ${page}b`]);
+
+(async () => {
+    const pageItems$ = ColdObservable.from(pages()).pipe(mergeMap(page => loadPage(page)));
+    for await (const items of pageItems$) {
+        console.log('page items:', items);
+    }
+    // page items: [ 'item 1a', 'item 1b' ]
+    // page items: [ 'item 2a', 'item 2b' ]
+})();
+
+// Marble tests in virtual time: no real waiting
+const testScheduler = new TestScheduler();
+
+testScheduler.run(({ cold, expectObservable }) => {
+    const input$ = cold('a-b----c---|');
+    expectObservable(input$.pipe(debounceTime(3, testScheduler))).toBe('-----b----c|');
+    
+    const clicks$ = cold('-a---b---|');
+    const request$ = cold('--x--y|');
+    expectObservable(clicks$.pipe(switchMap(() => request$))).toBe('---x---x--y|');
+    
+    const failing$ = cold('a#', {}, new Error('boom'));
+    expectObservable(failing$.pipe(retry(1))).toBe('aa#', {}, new Error('boom'));
+});
+console.log('marble tests passed');
+
 // -------------------------------------------------------------------------------------------
 // SUMMARY
 // -------------------------------------------------------------------------------------------
@@ -340,8 +1903,13 @@ store.dispatch({ type: 'INCREMENT', payload: 5 });
  * 
  * VARIATIONS:
  * - Event Emitter: Named events
+ * - Wildcard Emitter: Namespaces, priorities, async emit, waitFor
+ * - Redux Store: Middleware, memoised selectors, time travel
+ * - Cold Observable: Lazy producers, operators, teardown, marble tests
  * - Pub/Sub: Decoupled via channels
+ * - Topic Broker: Hierarchical topics, retained messages, replay, acks
  * - Reactive: Auto-notification on property change
+ * - Signals: Tracked effects, cached computed values, batched updates
  * 
  * KEY CONCEPTS:
  * - subscribe/unsubscribe
@@ -523,6 +523,1930 @@ console.log(dateFormatter.format(now));
 dateFormatter.setFormat("relative");
 console.log(dateFormatter.format(new Date(Date.now() - 86400000)));
 
+// -------------------------------------------------------------------------------------------
+// 9. PAYMENT LIFECYCLE WITH PLUGINS AND IDEMPOTENCY
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A production-shaped version of section 2:
+ * - Payment methods are plugins registered by id, so adding one never touches
+ *   the processor
+ * - Every payment moves through a state machine:
+ *   created -> authorized -> captured -> refunded, or -> failed
+ * - An idempotency key makes retries and double clicks return the first result
+ *   instead of charging twice
+ * - FakePaymentGateway stands in for a real provider, including declines and
+ *   timeouts
+ * - A capture that times out may still go through, so the payment stays
+ *   authorized (capturePending) until the gateway's answer arrives
+ */
+
+class PaymentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PaymentError";
+    this.code = code;
+  }
+}
+
+const PAYMENT_TRANSITIONS = {
+  created: ["authorized", "failed"],
+  authorized: ["captured", "failed"],
+  captured: ["refunded"],
+  refunded: [],
+  failed: [],
+};
+
+class Payment {
+  constructor({ id, amount, currency, method, idempotencyKey }) {
+    this.id = id;
+    this.amount = amount;
+    this.currency = currency;
+    this.method = method;
+    this.idempotencyKey = idempotencyKey;
+    this.state = "created";
+    this.gatewayRefs = {};
+    this.failureReason = null;
+    this.capturePending = false; // Sent to the gateway, answer not seen yet
+    this.history = [{ state: "created", at: Date.now() }];
+  }
+
+  assertCanTransition(to) {
+    if (!PAYMENT_TRANSITIONS[this.state].includes(to)) {
+      throw new PaymentError(
+        "invalid_transition",
+        `Payment ${this.id} cannot go from ${this.state} to ${to}`
+      );
+    }
+  }
+
+  transition(to, reason) {
+    this.assertCanTransition(to);
+    this.state = to;
+    this.history.push({ state: to, at: Date.now(), ...(reason && { reason }) });
+    return this;
+  }
+}
+
+class PaymentPluginRegistry {
+  static REQUIRED_METHODS = ["validate", "authorize", "capture", "refund"];
+
+  constructor() {
+    this.plugins = new Map();
+  }
+
+  register(plugin) {
+    const missing = PaymentPluginRegistry.REQUIRED_METHODS.filter(
+      (method) => typeof plugin[method] !== "function"
+    );
+    if (!plugin.id || missing.length) {
+      const what = missing.join(", ") || "id";
+      throw new Error(`Invalid payment plugin "${plugin.id}": missing ${what}`);
+    }
+    if (this.plugins.has(plugin.id)) {
+      throw new Error(`Payment plugin "${plugin.id}" is already registered`);
+    }
+    this.plugins.set(plugin.id, plugin);
+    return this;
+  }
+
+  get(id) {
+    const plugin = this.plugins.get(id);
+    if (!plugin) {
+      throw new PaymentError("unknown_method", `No payment plugin for "${id}"`);
+    }
+    return plugin;
+  }
+
+  list() {
+    return [...this.plugins.values()].map(({ id, name }) => ({ id, name }));
+  }
+}
+
+// Local stand-in for a payment provider. Like real sandboxes, magic card
+// numbers trigger failures. Authorizations are deduplicated by idempotency
+// key and captures by authorization, so retrying either never charges twice.
+class FakePaymentGateway {
+  static SCENARIOS = {
+    "4000000000000002": "card_declined",
+    "4000000000009995": "insufficient_funds",
+    "4000000000000119": "timeout",
+  };
+
+  constructor({ latency = 5, captureLatency = latency } = {}) {
+    this.latency = latency;
+    this.captureLatency = captureLatency;
+    this.calls = [];
+    this.authorizations = new Map(); // idempotencyKey -> authorization
+    this.captures = new Map(); // authorizationId -> capture (promise)
+    this.sequence = 0;
+  }
+
+  delay(ms = this.latency) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  async authorize({ amount, currency, source, idempotencyKey }) {
+    this.calls.push({ operation: "authorize", amount, source });
+    if (idempotencyKey && this.authorizations.has(idempotencyKey)) {
+      return this.authorizations.get(idempotencyKey);
+    }
+
+    const scenario = FakePaymentGateway.SCENARIOS[source];
+    if (scenario === "timeout") return new Promise(() => {}); // Never answers
+    await this.delay();
+    if (scenario) throw new PaymentError("declined", scenario);
+
+    const authorization = { id: `auth_${++this.sequence}`, amount, currency };
+    if (idempotencyKey) this.authorizations.set(idempotencyKey, authorization);
+    return authorization;
+  }
+
+  capture(authorizationId, amount) {
+    this.calls.push({ operation: "capture", authorizationId, amount });
+    // Stored before it settles, so a retry during a slow capture joins it
+    if (!this.captures.has(authorizationId)) {
+      const capture = this.delay(this.captureLatency).then(() => ({
+        id: `cap_${++this.sequence}`,
+        authorizationId,
+        amount,
+      }));
+      this.captures.set(authorizationId, capture);
+    }
+    return this.captures.get(authorizationId);
+  }
+
+  async refund(captureId, amount) {
+    this.calls.push({ operation: "refund", captureId, amount });
+    await this.delay();
+    return { id: `re_${++this.sequence}`, captureId, amount };
+  }
+}
+
+// Plugins reuse the validation from section 2 and talk to whichever gateway
+// the processor hands them
+const cardPaymentPlugin = {
+  id: "card",
+  name: "Credit Card",
+  validate: paymentStrategies.creditCard.validate,
+  authorize: (gateway, { amount, currency, details, idempotencyKey }) =>
+    gateway.authorize({
+      amount,
+      currency,
+      source: details.cardNumber,
+      idempotencyKey,
+    }),
+  capture: (gateway, payment) =>
+    gateway.capture(payment.gatewayRefs.authorization, payment.amount),
+  refund: (gateway, payment) =>
+    gateway.refund(payment.gatewayRefs.capture, payment.amount),
+};
+
+const paypalPaymentPlugin = {
+  id: "paypal",
+  name: "PayPal",
+  validate: paymentStrategies.paypal.validate,
+  authorize: (gateway, { amount, currency, details, idempotencyKey }) =>
+    gateway.authorize({
+      amount,
+      currency,
+      source: `paypal:${details.email}`,
+      idempotencyKey,
+    }),
+  capture: cardPaymentPlugin.capture,
+  refund: cardPaymentPlugin.refund,
+};
+
+class LifecyclePaymentProcessor {
+  constructor({ registry, gateway, timeout = 1000, captureAttempts = 2 }) {
+    this.registry = registry;
+    this.gateway = gateway;
+    this.timeout = timeout;
+    this.captureAttempts = captureAttempts;
+    this.payments = new Map();
+    this.captures = new Map(); // paymentId -> in-flight capture()
+    this.idempotency = new Map(); // key -> { fingerprint, result }
+    this.sequence = 0;
+  }
+
+  pay(amount, method, details, options = {}) {
+    const { idempotencyKey, currency = "USD", capture = true } = options;
+    const run = () =>
+      this.runPayment(amount, method, details, {
+        idempotencyKey,
+        currency,
+        capture,
+      });
+    if (!idempotencyKey) return run();
+
+    const fingerprint = JSON.stringify([amount, currency, method, details]);
+    const previous = this.idempotency.get(idempotencyKey);
+    if (previous) {
+      if (previous.fingerprint !== fingerprint) {
+        return Promise.reject(
+          new PaymentError(
+            "idempotency_conflict",
+            `Idempotency key "${idempotencyKey}" was used with other parameters`
+          )
+        );
+      }
+      return previous.result; // Same promise, so in-flight duplicates match too
+    }
+
+    const result = run().then(
+      (payment) => {
+        // An authorization that timed out may or may not exist; let the client
+        // retry with the same key, which the gateway deduplicates. Once
+        // authorized, the key stays bound to this payment.
+        const { failureReason, gatewayRefs } = payment;
+        if (failureReason === "timeout" && !gatewayRefs.authorization) {
+          this.idempotency.delete(idempotencyKey);
+        }
+        return payment;
+      },
+      (error) => {
+        this.idempotency.delete(idempotencyKey); // Nothing was charged
+        throw error;
+      }
+    );
+    this.idempotency.set(idempotencyKey, { fingerprint, result });
+    return result;
+  }
+
+  async runPayment(amount, method, details, options) {
+    const { idempotencyKey, currency, capture } = options;
+    const plugin = this.registry.get(method);
+    if (!plugin.validate(details)) {
+      throw new PaymentError(
+        "invalid_details",
+        `Invalid details for ${plugin.name}`
+      );
+    }
+
+    const payment = new Payment({
+      id: `pay_${++this.sequence}`,
+      amount,
+      currency,
+      method,
+      idempotencyKey,
+    });
+    this.payments.set(payment.id, payment);
+
+    try {
+      const authorization = await this.withTimeout(
+        plugin.authorize(this.gateway, {
+          amount,
+          currency,
+          details,
+          idempotencyKey,
+        })
+      );
+      payment.gatewayRefs.authorization = authorization.id;
+      payment.transition("authorized");
+    } catch (error) {
+      return this.fail(payment, error);
+    }
+
+    return capture ? this.capture(payment.id) : payment;
+  }
+
+  // Calling capture() again while one is running joins it, and a payment
+  // that is already captured (or refunded) is returned as it is
+  capture(paymentId) {
+    const payment = this.getPayment(paymentId);
+    if (payment.gatewayRefs.capture) return Promise.resolve(payment);
+    if (!this.captures.has(paymentId)) {
+      try {
+        payment.assertCanTransition("captured");
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      const capture = this.runCapture(payment).finally(() =>
+        this.captures.delete(paymentId)
+      );
+      this.captures.set(paymentId, capture);
+    }
+    return this.captures.get(paymentId);
+  }
+
+  // Captures are idempotent per authorization at the gateway, so a timed-out
+  // capture is reconciled by asking again rather than by giving up. If every
+  // attempt times out the money may still have moved: the payment stays
+  // authorized and is marked captured once the gateway answers.
+  async runCapture(payment) {
+    const plugin = this.registry.get(payment.method);
+    const recordCapture = (capture) => {
+      payment.capturePending = false;
+      if (payment.gatewayRefs.capture) return payment;
+      payment.gatewayRefs.capture = capture.id;
+      return payment.transition("captured");
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      const request = plugin.capture(this.gateway, payment);
+      try {
+        return recordCapture(await this.withTimeout(request));
+      } catch (error) {
+        if (error.code !== "timeout") return this.fail(payment, error);
+        if (attempt >= this.captureAttempts) {
+          payment.capturePending = true;
+          request.then(recordCapture, () => {}); // Late answer, if any
+          return payment;
+        }
+      }
+    }
+  }
+
+  // Refund failures leave the payment captured so the refund can be retried
+  async refund(paymentId) {
+    const payment = this.getPayment(paymentId);
+    payment.assertCanTransition("refunded");
+
+    const refund = await this.withTimeout(
+      this.registry.get(payment.method).refund(this.gateway, payment)
+    );
+    payment.gatewayRefs.refund = refund.id;
+    return payment.transition("refunded");
+  }
+
+  getPayment(id) {
+    const payment = this.payments.get(id);
+    if (!payment) throw new PaymentError("not_found", `Unknown payment ${id}`);
+    return payment;
+  }
+
+  fail(payment, error) {
+    if (!(error instanceof PaymentError)) throw error;
+    payment.failureReason =
+      error.code === "declined" ? error.message : error.code;
+    return payment.transition("failed", payment.failureReason);
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const message = `Gateway did not answer in ${this.timeout}ms`;
+        reject(new PaymentError("timeout", message));
+      }, this.timeout);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+// Usage
+const paymentRegistry = new PaymentPluginRegistry()
+  .register(cardPaymentPlugin)
+  .register(paypalPaymentPlugin);
+
+try {
+  paymentRegistry.register({ id: "giftcard", validate: () => true });
+} catch (error) {
+  console.log(error.message);
+  // Invalid payment plugin "giftcard": missing authorize, capture, refund
+}
+
+const gateway = new FakePaymentGateway();
+const payments = new LifecyclePaymentProcessor({
+  registry: paymentRegistry,
+  gateway,
+  timeout: 50,
+});
+const visa = { cardNumber: "4242424242424242", cvv: "123", expiry: "12/30" };
+
+(async () => {
+  // A double click sends the same request twice at once
+  const [first, second] = await Promise.all([
+    payments.pay(49.99, "card", visa, { idempotencyKey: "order-1001" }),
+    payments.pay(49.99, "card", visa, { idempotencyKey: "order-1001" }),
+  ]);
+  console.log(first.id, first.state, first === second); // pay_1 captured true
+  console.log(
+    "authorizations sent:",
+    gateway.calls.filter((call) => call.operation === "authorize").length
+  ); // 1
+
+  await payments
+    .pay(10, "card", visa, { idempotencyKey: "order-1001" })
+    .catch((error) => console.log(error.code)); // idempotency_conflict
+
+  const declined = await payments.pay(20, "card", {
+    ...visa,
+    cardNumber: "4000000000000002",
+  });
+  console.log(declined.state, declined.failureReason); // failed card_declined
+
+  const timedOut = await payments.pay(
+    30,
+    "card",
+    { ...visa, cardNumber: "4000000000000119" },
+    { idempotencyKey: "order-1002" }
+  );
+  console.log(timedOut.state, timedOut.failureReason); // failed timeout
+
+  // A capture slower than the timeout is retried and joins the first one
+  const slowGateway = new FakePaymentGateway({ captureLatency: 80 });
+  const slowPayments = new LifecyclePaymentProcessor({
+    registry: paymentRegistry,
+    gateway: slowGateway,
+    timeout: 50,
+  });
+  const slow = await slowPayments.pay(25, "card", visa, {
+    idempotencyKey: "order-1003",
+  });
+  const slowRetry = await slowPayments.pay(25, "card", visa, {
+    idempotencyKey: "order-1003",
+  });
+  console.log(slow.state, slow === slowRetry, slowGateway.captures.size);
+  // captured true 1
+
+  // Authorize now, capture when the order ships
+  const paypalAccount = { email: "bob@example.com", password: "x" };
+  const held = await payments.pay(15, "paypal", paypalAccount, {
+    capture: false,
+  });
+  console.log(held.state); // authorized
+  await payments.capture(held.id);
+
+  await payments.refund(first.id);
+  console.log(first.history.map((entry) => entry.state).join(" -> "));
+  // created -> authorized -> captured -> refunded
+
+  await payments
+    .refund(first.id)
+    .catch((error) => console.log(error.code)); // invalid_transition
+
+  // Concurrent captures share one gateway call and one result
+  const order = await payments.pay(12, "card", visa, { capture: false });
+  const [captureA, captureB] = await Promise.all([
+    payments.capture(order.id),
+    payments.capture(order.id),
+  ]);
+  console.log(captureA === captureB, captureA.state); // true captured
+
+  // Every capture attempt times out, but the gateway does capture the money:
+  // the payment stays authorized, never failed, and can still be refunded
+  const lateGateway = new FakePaymentGateway({ captureLatency: 150 });
+  const latePayments = new LifecyclePaymentProcessor({
+    registry: paymentRegistry,
+    gateway: lateGateway,
+    timeout: 50,
+  });
+  const late = await latePayments.pay(40, "card", visa, {
+    idempotencyKey: "order-1004",
+  });
+  console.log(late.state, late.capturePending); // authorized true
+  await latePayments.capture(late.id); // Asks again and joins the capture
+  await latePayments.refund(late.id);
+  console.log(late.history.map((entry) => entry.state).join(" -> "));
+  // created -> authorized -> captured -> refunded
+})();
+
+// -------------------------------------------------------------------------------------------
+// 10. SCHEMA VALIDATION ENGINE
+// -------------------------------------------------------------------------------------------
+
+/**
+ * FieldValidator checks one value against sync rules. A schema validator
+ * applies the same idea to whole forms and API payloads:
+ * - Schemas mirror the data: arrays of rules for fields, plain objects for
+ *   nested objects, arrayOf() for lists
+ * - Rules may be async (uniqueness checks) and see the rest of the data
+ *   (cross-field rules such as sameAs)
+ * - rule.when(condition) only applies a rule when the condition holds
+ * - Messages come from per-locale catalogs with {placeholders};
+ *   withMessage() takes a catalog key or literal text
+ * - Errors are keyed by path ("addresses.0.zip") and also returned as a tree
+ * - The old validators strategies still work as rules
+ */
+
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === "";
+
+// test(value, ctx) returns a boolean (or a promise of one)
+function createRule(name, test, params = {}) {
+  return {
+    name,
+    test,
+    params,
+    message: null,
+    condition: null,
+    withMessage(message) {
+      return { ...this, message };
+    },
+    when(condition) {
+      return { ...this, condition };
+    },
+  };
+}
+
+// Optional rules pass on empty values; combine with required() to demand one
+const schemaRules = {
+  required: () => createRule("required", (value) => !isEmptyValue(value)),
+
+  email: () =>
+    createRule(
+      "email",
+      (value) => isEmptyValue(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+    ),
+
+  minLength: (min) =>
+    createRule(
+      "minLength",
+      (value) => isEmptyValue(value) || value.length >= min,
+      { min }
+    ),
+
+  maxLength: (max) =>
+    createRule(
+      "maxLength",
+      (value) => isEmptyValue(value) || value.length <= max,
+      { max }
+    ),
+
+  min: (min) =>
+    createRule("min", (value) => isEmptyValue(value) || value >= min, { min }),
+
+  max: (max) =>
+    createRule("max", (value) => isEmptyValue(value) || value <= max, { max }),
+
+  pattern: (regex) =>
+    createRule("pattern", (value) => isEmptyValue(value) || regex.test(value)),
+
+  oneOf: (values) =>
+    createRule(
+      "oneOf",
+      (value) => isEmptyValue(value) || values.includes(value),
+      { values: values.join(", ") }
+    ),
+
+  minItems: (min) =>
+    createRule(
+      "minItems",
+      (value) => Array.isArray(value) && value.length >= min,
+      { min }
+    ),
+
+  // Cross-field: compares with a sibling in the same object
+  sameAs: (field) =>
+    createRule("sameAs", (value, ctx) => value === ctx.parent?.[field], {
+      other: field,
+    }),
+
+  // Async: isTaken(value) resolves to true when the value is already in use
+  unique: (isTaken) =>
+    createRule(
+      "unique",
+      async (value) => isEmptyValue(value) || !(await isTaken(value))
+    ),
+
+  custom: (name, test, params) => createRule(name, test, params),
+};
+
+const arrayOf = (items, rules = []) => ({ type: "array", items, rules });
+
+const validationMessages = {
+  en: {
+    required: "{field} is required",
+    email: "{field} must be a valid email address",
+    minLength: "{field} must be at least {min} characters",
+    maxLength: "{field} must be at most {max} characters",
+    min: "{field} must be at least {min}",
+    max: "{field} must be at most {max}",
+    pattern: "{field} has an invalid format",
+    oneOf: "{field} must be one of: {values}",
+    minItems: "{field} needs at least {min} item(s)",
+    sameAs: "{field} must match {other}",
+    unique: "{field} \"{value}\" is already taken",
+    invalid: "{field} is invalid",
+  },
+  es: {
+    required: "{field} es obligatorio",
+    email: "{field} debe ser un correo válido",
+    minLength: "{field} debe tener al menos {min} caracteres",
+    pattern: "{field} tiene un formato no válido",
+    sameAs: "{field} debe coincidir con {other}",
+    unique: "{field} \"{value}\" ya está en uso",
+  },
+};
+
+const getPath = (object, path) =>
+  path.split(".").reduce((current, key) => current?.[key], object);
+
+// "confirmPassword" -> "Confirm password"
+const humanize = (key) => {
+  const words = String(key).replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// { "a.b": ["msg"] } -> { a: { b: { _errors: ["msg"] } } }
+function toErrorTree(errors) {
+  const tree = {};
+  for (const [path, messages] of Object.entries(errors)) {
+    let node = tree;
+    for (const key of path.split(".")) {
+      node = node[key] ??= {};
+    }
+    node._errors = messages;
+  }
+  return tree;
+}
+
+class SchemaValidator {
+  constructor(schema, options = {}) {
+    this.schema = schema;
+    this.locale = options.locale ?? "en";
+    this.labels = options.labels ?? {};
+    this.bail = options.bail ?? true; // Stop at a field's first failing rule
+    const catalogs = { ...validationMessages };
+    for (const [locale, catalog] of Object.entries(options.messages ?? {})) {
+      catalogs[locale] = { ...catalogs[locale], ...catalog };
+    }
+    this.catalogs = catalogs;
+  }
+
+  withLocale(locale) {
+    const copy = Object.create(this);
+    copy.locale = locale;
+    return copy;
+  }
+
+  async validate(data) {
+    const fields = new Map(); // path -> messages, in schema order
+    await this.walk(this.schema, data, [], data, data, fields);
+    const errors = Object.fromEntries(
+      [...fields].filter(([, messages]) => messages.length)
+    );
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors,
+      tree: toErrorTree(errors),
+    };
+  }
+
+  async walk(schema, value, path, parent, root, fields) {
+    if (Array.isArray(schema)) {
+      return this.validateField(schema, value, path, parent, root, fields);
+    }
+
+    if (schema.type === "array") {
+      const { items, rules } = schema;
+      await this.validateField(rules, value, path, parent, root, fields);
+      if (!Array.isArray(value)) return;
+      return Promise.all(
+        value.map((item, index) =>
+          this.walk(items, item, [...path, index], value, root, fields)
+        )
+      );
+    }
+
+    return Promise.all(
+      Object.entries(schema).map(([key, child]) =>
+        this.walk(child, value?.[key], [...path, key], value, root, fields)
+      )
+    );
+  }
+
+  async validateField(rules, value, path, parent, root, fields) {
+    const messages = [];
+    const ctx = {
+      path: path.join("."),
+      key: path[path.length - 1],
+      parent,
+      root,
+      get: (otherPath) => getPath(root, otherPath),
+    };
+    fields.set(ctx.path, messages); // Before any await, so order is stable
+
+    for (const rule of rules.map(SchemaValidator.normalizeRule)) {
+      if (rule.condition && !rule.condition(value, ctx)) continue;
+
+      const outcome = await rule.test(value, ctx);
+      // null/undefined count as invalid, like any other falsy result
+      const isResult = outcome !== null && typeof outcome === "object";
+      const valid = isResult ? outcome.valid : outcome;
+      if (valid) continue;
+
+      messages.push(
+        isResult && outcome.message
+          ? outcome.message
+          : this.format(rule, value, ctx)
+      );
+      if (this.bail) break;
+    }
+  }
+
+  // Section 3 strategies return { valid, message } and can be used as-is
+  static normalizeRule(rule) {
+    return typeof rule === "function"
+      ? createRule(rule.name || "invalid", rule)
+      : rule;
+  }
+
+  format(rule, value, ctx) {
+    const catalog = this.catalogs[this.locale] ?? {};
+    const fallback = this.catalogs.en;
+    const template =
+      catalog[rule.message] ??
+      rule.message ??
+      catalog[rule.name] ??
+      fallback[rule.name] ??
+      fallback.invalid;
+
+    const values = {
+      ...rule.params,
+      value,
+      field: this.label(ctx.path, ctx.key),
+    };
+    if (rule.params.other) values.other = this.label(rule.params.other);
+
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      key in values ? String(values[key]) : match
+    );
+  }
+
+  label(path, key = path.split(".").pop()) {
+    const labels = this.labels[this.locale] ?? {};
+    return labels[path] ?? labels[key] ?? humanize(key);
+  }
+}
+
+// Usage
+const takenEmails = new Set(["taken@example.com"]);
+const isEmailTaken = async (email) => {
+  await new Promise((resolve) => setTimeout(resolve, 5)); // Pretend DB lookup
+  return takenEmails.has(email.toLowerCase());
+};
+
+const signupSchema = {
+  email: [
+    schemaRules.required(),
+    schemaRules.email(),
+    schemaRules.unique(isEmailTaken),
+  ],
+  // Section 3 strategies
+  username: [validators.required, validators.maxLength(12)],
+  password: [schemaRules.required(), schemaRules.minLength(8)],
+  confirmPassword: [
+    schemaRules.required(),
+    schemaRules.sameAs("password").withMessage("passwordMismatch"),
+  ],
+  accountType: [schemaRules.oneOf(["personal", "business"])],
+  company: {
+    name: [
+      schemaRules
+        .required()
+        .when((value, ctx) => ctx.get("accountType") === "business"),
+    ],
+    vatId: [
+      schemaRules
+        .pattern(/^[A-Z]{2}\d{8,12}$/)
+        .withMessage("{field} looks like DE123456789"),
+    ],
+  },
+  addresses: arrayOf(
+    {
+      street: [schemaRules.required()],
+      zip: [schemaRules.required(), schemaRules.pattern(/^\d{5}$/)],
+    },
+    [schemaRules.minItems(1)]
+  ),
+};
+
+const signupValidator = new SchemaValidator(signupSchema, {
+  messages: {
+    en: { passwordMismatch: "Passwords do not match" },
+    es: { passwordMismatch: "Las contraseñas no coinciden" },
+  },
+  labels: {
+    en: { vatId: "VAT ID", zip: "ZIP code" },
+    es: { email: "Correo", password: "Contraseña", zip: "Código postal" },
+  },
+});
+
+const signupData = {
+  email: "taken@example.com",
+  username: "alice",
+  password: "hunter22",
+  confirmPassword: "hunter2",
+  accountType: "business",
+  company: { name: "", vatId: "123" },
+  addresses: [
+    { street: "1 Main St", zip: "12345" },
+    { street: "", zip: "ABC" },
+  ],
+};
+
+(async () => {
+  const report = await signupValidator.validate(signupData);
+  console.log(report.valid); // false
+  console.log(report.errors);
+  // {
+  //   email: [ 'Email "taken@example.com" is already taken' ],
+  //   confirmPassword: [ 'Passwords do not match' ],
+  //   'company.name': [ 'Name is required' ],
+  //   'company.vatId': [ 'VAT ID looks like DE123456789' ],
+  //   'addresses.1.street': [ 'Street is required' ],
+  //   'addresses.1.zip': [ 'ZIP code has an invalid format' ]
+  // }
+  console.log(report.tree.addresses[1].zip._errors);
+  // [ 'ZIP code has an invalid format' ]
+
+  const spanish = await signupValidator.withLocale("es").validate(signupData);
+  console.log(spanish.errors["confirmPassword"]);
+  // [ 'Las contraseñas no coinciden' ]
+  console.log(spanish.errors["addresses.1.zip"]);
+  // [ 'Código postal tiene un formato no válido' ]
+
+  const fixed = await signupValidator.validate({
+    ...signupData,
+    email: "new@example.com",
+    confirmPassword: "hunter22",
+    accountType: "personal", // company.name is no longer required
+    company: { vatId: "DE123456789" },
+    addresses: [{ street: "1 Main St", zip: "12345" }],
+  });
+  console.log(fixed.valid); // true
+
+  // A rule may return null (a lookup that found nothing): it simply fails
+  const lookupCoupon = (code) => (code === "SPRING10" ? { valid: true } : null);
+  const couponValidator = new SchemaValidator({
+    coupon: [
+      schemaRules
+        .custom("coupon", lookupCoupon)
+        .withMessage('Coupon "{value}" does not exist'),
+    ],
+  });
+  console.log((await couponValidator.validate({ coupon: "WINTER" })).errors);
+  // { coupon: [ 'Coupon "WINTER" does not exist' ] }
+})();
+
+// -------------------------------------------------------------------------------------------
+// 11. STREAMING COMPRESSION STRATEGIES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Real compression behind one async interface:
+ * - gzip/deflate use the built-in CompressionStream (see webStreamsAPI.js)
+ * - LZ77 and LZW are pure JS fallbacks for runtimes without it
+ * - none, base64 and run-length are the section 5 strategies redone on
+ *   bytes and streams (pass-through, text-safe transport, simple runs)
+ * Every strategy has compressStream(readable)/decompressStream(readable)
+ * plus buffered compress(data)/decompress(bytes), and works on bytes, so
+ * binary data round-trips exactly. The context reports ratio stats.
+ */
+
+function toBytes(chunk) {
+  if (typeof chunk === "string") return new TextEncoder().encode(chunk);
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  if (ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  const type = Object.prototype.toString.call(chunk);
+  throw new TypeError(`Cannot compress ${type}`);
+}
+
+// Accepts a string, bytes, Blob or ReadableStream of any of those
+function toByteStream(input) {
+  if (input instanceof ReadableStream) {
+    return input.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          controller.enqueue(toBytes(chunk));
+        },
+      })
+    );
+  }
+  if (input instanceof Blob) return input.stream();
+
+  const bytes = toBytes(input);
+  return new ReadableStream({
+    start(controller) {
+      if (bytes.length) controller.enqueue(bytes);
+      controller.close();
+    },
+  });
+}
+
+async function collectBytes(stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Buffers incoming chunks in a list; bytes are copied only when take()
+// needs a range that spans chunks, so each byte is copied at most once
+class ByteQueue {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  push(chunk) {
+    if (!chunk.length) return;
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+  }
+
+  take(count) {
+    this.length -= count;
+    const first = this.chunks[0];
+    if (first && first.length >= count) {
+      if (first.length === count) this.chunks.shift();
+      else this.chunks[0] = first.subarray(count);
+      return first.subarray(0, count);
+    }
+
+    const result = new Uint8Array(count);
+    let offset = 0;
+    while (offset < count) {
+      const chunk = this.chunks[0];
+      const size = Math.min(chunk.length, count - offset);
+      result.set(chunk.subarray(0, size), offset);
+      offset += size;
+      if (size === chunk.length) this.chunks.shift();
+      else this.chunks[0] = chunk.subarray(size);
+    }
+    return result;
+  }
+}
+
+// Adds the buffered API on top of the two stream methods
+const defineCompressionStrategy = (strategy) => ({
+  ...strategy,
+  compress: (data) =>
+    collectBytes(strategy.compressStream(toByteStream(data))),
+  decompress: (data) =>
+    collectBytes(strategy.decompressStream(toByteStream(data))),
+});
+
+const createWebStreamStrategy = (format) =>
+  defineCompressionStrategy({
+    name: format,
+    compressStream: (readable) =>
+      readable.pipeThrough(new CompressionStream(format)),
+    decompressStream: (readable) =>
+      readable.pipeThrough(new DecompressionStream(format)),
+  });
+
+/**
+ * Pure JS codecs work on whole blocks, so the stream is cut into blocks and
+ * each one is written as a frame: [4-byte length][encoded block]. Memory use
+ * stays bounded by the block size however large the input is.
+ */
+function createBlockStrategy(name, { encode, decode }, blockSize = 64 * 1024) {
+  const writeFrame = (block, controller) => {
+    const payload = encode(block);
+    const frame = new Uint8Array(4 + payload.length);
+    new DataView(frame.buffer).setUint32(0, payload.length);
+    frame.set(payload, 4);
+    controller.enqueue(frame);
+  };
+
+  return defineCompressionStrategy({
+    name,
+    compressStream(readable) {
+      const pending = new ByteQueue();
+      return readable.pipeThrough(
+        new TransformStream({
+          transform(chunk, controller) {
+            pending.push(chunk);
+            while (pending.length >= blockSize) {
+              writeFrame(pending.take(blockSize), controller);
+            }
+          },
+          flush(controller) {
+            if (pending.length) {
+              writeFrame(pending.take(pending.length), controller);
+            }
+          },
+        })
+      );
+    },
+    decompressStream(readable) {
+      const pending = new ByteQueue();
+      let frameSize = null; // Set once a frame header has been read
+      return readable.pipeThrough(
+        new TransformStream({
+          transform(chunk, controller) {
+            pending.push(chunk);
+            for (;;) {
+              if (frameSize === null && pending.length >= 4) {
+                const header = pending.take(4);
+                frameSize = new DataView(
+                  header.buffer,
+                  header.byteOffset
+                ).getUint32(0);
+              }
+              if (frameSize === null || pending.length < frameSize) break;
+              controller.enqueue(decode(pending.take(frameSize)));
+              frameSize = null;
+            }
+          },
+          flush() {
+            if (pending.length || frameSize !== null) {
+              throw new Error(`${name}: truncated input`);
+            }
+          },
+        })
+      );
+    },
+  });
+}
+
+/**
+ * LZ77 (LZSS flavour): repeated byte runs become (offset, length) pairs
+ * pointing back into the last 4095 bytes. Output groups 8 tokens behind a
+ * flag byte; bit set = 2-byte match (12-bit offset, 4-bit length - 3),
+ * bit clear = 1 literal byte.
+ */
+const LZ77_WINDOW = 4095;
+const LZ77_MIN_MATCH = 3;
+const LZ77_MAX_MATCH = 18;
+
+function lz77Encode(input) {
+  const output = [];
+  const head = new Map(); // 3-byte prefix -> latest position
+  const previous = new Int32Array(input.length); // Older positions, same prefix
+  let flagIndex = -1;
+  let tokenCount = 0;
+
+  const insert = (position) => {
+    if (position + 2 >= input.length) return;
+    const key =
+      (input[position] << 16) |
+      (input[position + 1] << 8) |
+      input[position + 2];
+    previous[position] = head.get(key) ?? -1;
+    head.set(key, position);
+  };
+
+  let i = 0;
+  while (i < input.length) {
+    if (tokenCount % 8 === 0) {
+      flagIndex = output.length;
+      output.push(0);
+    }
+
+    let bestLength = 0;
+    let bestOffset = 0;
+    if (i + 2 < input.length) {
+      const key = (input[i] << 16) | (input[i + 1] << 8) | input[i + 2];
+      let candidate = head.get(key) ?? -1;
+      for (let chain = 0; candidate >= 0 && chain < 32; chain++) {
+        if (i - candidate > LZ77_WINDOW) break;
+        let length = 0;
+        while (
+          length < LZ77_MAX_MATCH &&
+          i + length < input.length &&
+          input[candidate + length] === input[i + length]
+        ) {
+          length++;
+        }
+        if (length > bestLength) {
+          bestLength = length;
+          bestOffset = i - candidate;
+        }
+        candidate = previous[candidate];
+      }
+    }
+
+    if (bestLength >= LZ77_MIN_MATCH) {
+      output[flagIndex] |= 1 << tokenCount % 8;
+      output.push(
+        bestOffset >> 4,
+        ((bestOffset & 0xf) << 4) | (bestLength - 3)
+      );
+      for (let k = 0; k < bestLength; k++) insert(i + k);
+      i += bestLength;
+    } else {
+      output.push(input[i]);
+      insert(i);
+      i++;
+    }
+    tokenCount++;
+  }
+  return Uint8Array.from(output);
+}
+
+function lz77Decode(input) {
+  const output = [];
+  let i = 0;
+  while (i < input.length) {
+    const flags = input[i++];
+    for (let bit = 0; bit < 8 && i < input.length; bit++) {
+      if (flags & (1 << bit)) {
+        const offset = (input[i] << 4) | (input[i + 1] >> 4);
+        const length = (input[i + 1] & 0xf) + 3;
+        i += 2;
+        const start = output.length - offset;
+        // Byte by byte: a match may overlap the bytes it produces
+        for (let k = 0; k < length; k++) output.push(output[start + k]);
+      } else {
+        output.push(input[i++]);
+      }
+    }
+  }
+  return Uint8Array.from(output);
+}
+
+/**
+ * LZW: builds a dictionary of byte sequences seen so far and writes 12-bit
+ * codes (0-255 single bytes, 256-4095 learned sequences). The decoder
+ * rebuilds the same dictionary, so none is stored.
+ */
+const LZW_MAX_CODES = 4096;
+
+function lzwEncode(input) {
+  const codes = [];
+  const dictionary = new Map(); // prefixCode * 256 + byte -> code
+  let nextCode = 256;
+  let current = input[0];
+
+  for (let i = 1; i < input.length; i++) {
+    const key = current * 256 + input[i];
+    if (dictionary.has(key)) {
+      current = dictionary.get(key);
+    } else {
+      codes.push(current);
+      if (nextCode < LZW_MAX_CODES) dictionary.set(key, nextCode++);
+      current = input[i];
+    }
+  }
+  if (input.length) codes.push(current);
+
+  // Pack 12-bit codes: two codes per three bytes
+  const output = new Uint8Array(Math.ceil((codes.length * 12) / 8));
+  codes.forEach((code, index) => {
+    const bit = index * 12;
+    const byte = bit >> 3;
+    if (bit % 8 === 0) {
+      output[byte] = code >> 4;
+      output[byte + 1] = (code & 0xf) << 4;
+    } else {
+      output[byte] |= code >> 8;
+      output[byte + 1] = code & 0xff;
+    }
+  });
+  return output;
+}
+
+function lzwDecode(input) {
+  const codeCount = Math.floor((input.length * 8) / 12);
+  const codes = [];
+  for (let index = 0; index < codeCount; index++) {
+    const bit = index * 12;
+    const byte = bit >> 3;
+    codes.push(
+      bit % 8 === 0
+        ? (input[byte] << 4) | (input[byte + 1] >> 4)
+        : ((input[byte] & 0xf) << 8) | input[byte + 1]
+    );
+  }
+  if (!codes.length) return new Uint8Array(0);
+
+  const entries = Array.from({ length: 256 }, (_, byte) => [byte]);
+  const output = [...entries[codes[0]]];
+  let previous = entries[codes[0]];
+
+  for (const code of codes.slice(1)) {
+    let entry;
+    if (code < entries.length) entry = entries[code];
+    // Code defined by this very step (the "cScSc" case)
+    else if (code === entries.length) entry = [...previous, previous[0]];
+    else throw new Error(`lzw: invalid code ${code}`);
+
+    output.push(...entry);
+    if (entries.length < LZW_MAX_CODES) entries.push([...previous, entry[0]]);
+    previous = entry;
+  }
+  return Uint8Array.from(output);
+}
+
+/**
+ * Codecs that work in fixed units (base64: 3 bytes in, 4 characters out)
+ * convert whole units as they arrive and the remainder on flush.
+ */
+function createUnitStrategy(name, { unit, encode, unitOut, decode }) {
+  const convert = (size, fn) => (readable) => {
+    const pending = new ByteQueue();
+    return readable.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          pending.push(chunk);
+          const whole = pending.length - (pending.length % size);
+          if (whole) controller.enqueue(fn(pending.take(whole)));
+        },
+        flush(controller) {
+          if (pending.length) {
+            controller.enqueue(fn(pending.take(pending.length)));
+          }
+        },
+      })
+    );
+  };
+
+  return defineCompressionStrategy({
+    name,
+    compressStream: convert(unit, encode),
+    decompressStream: convert(unitOut, decode),
+  });
+}
+
+/**
+ * Run-length (PackBits): a header byte n < 128 is followed by n + 1 literal
+ * bytes; n >= 128 means "repeat the next byte 257 - n times" (2-128). Data
+ * without runs grows by at most 1 byte in 128 instead of doubling.
+ */
+function runLengthEncode(input) {
+  const output = [];
+  let literalStart = -1; // Index of the open literal header, if any
+
+  for (let i = 0; i < input.length; ) {
+    let run = 1;
+    while (run < 128 && input[i + run] === input[i]) run++;
+
+    if (run >= 3) {
+      output.push(257 - run, input[i]);
+      literalStart = -1;
+      i += run;
+    } else {
+      if (literalStart === -1 || output[literalStart] === 127) {
+        literalStart = output.length;
+        output.push(-1);
+      }
+      output[literalStart]++;
+      output.push(input[i]);
+      i++;
+    }
+  }
+  return Uint8Array.from(output);
+}
+
+function runLengthDecode(input) {
+  const output = [];
+  for (let i = 0; i < input.length; ) {
+    const header = input[i++];
+    if (header < 128) {
+      for (let k = 0; k <= header; k++) output.push(input[i++]);
+    } else {
+      for (let k = 0; k < 257 - header; k++) output.push(input[i]);
+      i++;
+    }
+  }
+  return Uint8Array.from(output);
+}
+
+const streamingCompressionStrategies = {
+  // Pass-through, useful as a baseline and to switch compression off
+  none: defineCompressionStrategy({
+    name: "none",
+    compressStream: (readable) => readable,
+    decompressStream: (readable) => readable,
+  }),
+  // Not compression: output is 4/3 the size, but safe in text-only channels
+  base64: createUnitStrategy("base64", {
+    unit: 3,
+    encode: (bytes) =>
+      new TextEncoder().encode(Buffer.from(bytes).toString("base64")),
+    unitOut: 4,
+    decode: (bytes) =>
+      new Uint8Array(Buffer.from(new TextDecoder().decode(bytes), "base64")),
+  }),
+  runLength: createBlockStrategy("runLength", {
+    encode: runLengthEncode,
+    decode: runLengthDecode,
+  }),
+  gzip: createWebStreamStrategy("gzip"),
+  deflate: createWebStreamStrategy("deflate"),
+  lz77: createBlockStrategy("lz77", { encode: lz77Encode, decode: lz77Decode }),
+  lzw: createBlockStrategy("lzw", { encode: lzwEncode, decode: lzwDecode }),
+};
+
+// Prefer the native codec, fall back to pure JS where it is missing
+const pickCompressionStrategy = () =>
+  typeof CompressionStream === "function"
+    ? streamingCompressionStrategies.gzip
+    : streamingCompressionStrategies.lz77;
+
+// The section 5 context, made async: same setStrategy(), but compress()
+// and decompress() return promises and every strategy can stream
+class StreamingCompressor extends DataCompressor {
+  constructor(strategy = pickCompressionStrategy()) {
+    super(strategy);
+  }
+
+  // Returns the stream right away; stats resolve once it has been read,
+  // or reject if the stream errors or is cancelled
+  compressStream(input) {
+    const started = performance.now();
+    let inputBytes = 0;
+    let resolveStats;
+    let rejectStats;
+    const stats = new Promise((resolve, reject) => {
+      resolveStats = resolve;
+      rejectStats = reject;
+    });
+    stats.catch(() => {}); // Callers that only read the stream may ignore it
+
+    const countInput = new TransformStream({
+      transform(chunk, controller) {
+        inputBytes += chunk.byteLength;
+        controller.enqueue(chunk);
+      },
+    });
+    let outputBytes = 0;
+    const countOutput = new TransformStream({
+      transform(chunk, controller) {
+        outputBytes += chunk.byteLength;
+        controller.enqueue(chunk);
+      },
+      flush: () => {
+        resolveStats({
+          strategy: this.strategy.name,
+          inputBytes,
+          outputBytes,
+          // Empty input has nothing to compress, whatever the format adds
+          ratio:
+            inputBytes && outputBytes
+              ? +(inputBytes / outputBytes).toFixed(2)
+              : 1,
+          savedPercent: inputBytes
+            ? +((1 - outputBytes / inputBytes) * 100).toFixed(1)
+            : 0,
+          ms: +(performance.now() - started).toFixed(2),
+        });
+      },
+    });
+
+    const reader = this.strategy
+      .compressStream(toByteStream(input).pipeThrough(countInput))
+      .pipeThrough(countOutput)
+      .getReader();
+    const stream = new ReadableStream({
+      async pull(controller) {
+        try {
+          const { done, value } = await reader.read();
+          if (done) controller.close();
+          else controller.enqueue(value);
+        } catch (error) {
+          rejectStats(error);
+          controller.error(error);
+        }
+      },
+      cancel(reason) {
+        rejectStats(reason);
+        return reader.cancel(reason);
+      },
+    });
+    return { stream, stats };
+  }
+
+  async compress(input) {
+    const { stream, stats } = this.compressStream(input);
+    const data = await collectBytes(stream);
+    return { data, stats: await stats };
+  }
+
+  decompressStream(input) {
+    return this.strategy.decompressStream(toByteStream(input));
+  }
+
+  decompress(data) {
+    return collectBytes(this.decompressStream(data));
+  }
+
+  async decompressText(data) {
+    return new TextDecoder().decode(await this.decompress(data));
+  }
+}
+
+// Usage
+const sameBytes = (a, b) =>
+  a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+const textSample = "The quick brown fox jumps over the lazy dog. ".repeat(200);
+// Every byte value, so nothing depends on text encoding
+const binarySample = new Uint8Array(8192).map((_, i) => (i % 256) ^ (i >> 9));
+let seed = 42;
+const noiseSample = new Uint8Array(2048).map(() => {
+  seed = (seed * 1103515245 + 12345) % 2 ** 31; // Hard to compress
+  return seed >> 23;
+});
+
+(async () => {
+  const streamingCompressor = new StreamingCompressor();
+
+  for (const strategy of Object.values(streamingCompressionStrategies)) {
+    streamingCompressor.setStrategy(strategy);
+
+    for (const [label, sample] of [
+      ["text", textSample],
+      ["binary", binarySample],
+      ["noise", noiseSample],
+      ["empty", new Uint8Array(0)],
+    ]) {
+      const { data, stats } = await streamingCompressor.compress(sample);
+      const restored = await streamingCompressor.decompress(data);
+      const ok = sameBytes(restored, toBytes(sample));
+      console.log(
+        `${strategy.name.padEnd(9)} ${label.padEnd(6)} ` +
+          `${stats.inputBytes} -> ${stats.outputBytes} bytes ` +
+          `(${stats.ratio}x) round-trip ${ok ? "ok" : "FAILED"}`
+      );
+    }
+  }
+  // none      text   9000 -> 9000 bytes (1x) round-trip ok
+  // ...
+  // gzip      text   9000 -> 107 bytes (84.11x) round-trip ok
+  // ...
+  // lzw       noise  2048 -> 3037 bytes (0.67x) round-trip ok
+
+  // Streaming: chunks are compressed as they arrive, nothing is buffered whole
+  streamingCompressor.setStrategy(streamingCompressionStrategies.lzw);
+  const logLines = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < 3000; i++) {
+        controller.enqueue(`${i % 60}s GET /api/items 200\n`);
+      }
+      controller.close();
+    },
+  });
+  const { stream, stats } = streamingCompressor.compressStream(logLines);
+  const text = await streamingCompressor.decompressText(stream);
+  console.log(text.split("\n").length - 1, "lines back;", await stats);
+  // 3000 lines back; { strategy: 'lzw', inputBytes: ..., ratio: ..., ... }
+
+  streamingCompressor.setStrategy(streamingCompressionStrategies.base64);
+  const { data: encoded } = await streamingCompressor.compress("Hello World");
+  console.log(new TextDecoder().decode(encoded)); // SGVsbG8gV29ybGQ=
+  console.log(await streamingCompressor.decompressText(encoded)); // Hello World
+
+  // A failing source errors the stream and rejects the stats
+  const failing = streamingCompressor.compressStream(
+    new ReadableStream({
+      start(controller) {
+        controller.enqueue("partial");
+        controller.error(new Error("disk read failed"));
+      },
+    })
+  );
+  const outcomes = await Promise.allSettled([
+    collectBytes(failing.stream),
+    failing.stats,
+  ]);
+  console.log(outcomes.map((outcome) => outcome.reason?.message));
+  // [ 'disk read failed', 'disk read failed' ]
+})();
+
+// -------------------------------------------------------------------------------------------
+// 12. RULE-BASED SHIPPING RATES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Replaces the hard-coded formulas of section 6 with data:
+ * - Rate tables (zones, weight brackets, surcharges, rules) come from JSON
+ * - Zones are found by postal-code ranges
+ * - Billable weight is the larger of actual and dimensional weight
+ * - Fuel, remote-area and oversized surcharges, free-shipping thresholds
+ * - Cart rules pick conditions and actions from small strategy maps
+ * - Every quote is a list of lines that sum exactly to the total (in cents)
+ */
+
+class ShippingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ShippingError";
+  }
+}
+
+const toCents = (amount) => Math.round(amount * 100);
+const formatMoney = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+// Conditions a cart rule may list under "when"; all of them must hold
+const cartRuleConditions = {
+  minItems: (count, ctx) => ctx.itemCount >= count,
+  minSubtotal: (amount, ctx) => ctx.subtotalCents >= toCents(amount),
+  customerTag: (tag, ctx) => Boolean(ctx.cart.customer?.tags?.includes(tag)),
+  itemTag: (tag, ctx) =>
+    ctx.cart.items.some((item) => item.tags?.includes(tag)),
+  service: (serviceId, ctx) => ctx.serviceId === serviceId,
+  zone: (zoneId, ctx) => ctx.zone.id === zoneId,
+};
+
+// What a matching rule adds, in cents; runningCents is the total so far
+const cartRuleActions = {
+  fee: (amount) => toCents(amount),
+  perItemFee: (amount, ctx) => toCents(amount) * ctx.itemCount,
+  percentOff: (percent, ctx, runningCents) =>
+    -Math.round((runningCents * percent) / 100),
+};
+
+class RuleBasedShippingCalculator {
+  static fromJSON(json) {
+    return new RuleBasedShippingCalculator(JSON.parse(json));
+  }
+
+  static normalizePostalCode(postalCode) {
+    return String(postalCode).toUpperCase().replace(/[\s-]/g, "");
+  }
+
+  // Compared as strings on as many leading characters as the bounds have,
+  // so ZIP+4 ("10115-4321") and alphanumeric codes ("SW1A 1AA" within
+  // ["SW1A", "SW1Z"]) match; numbers would turn both into NaN
+  static inRanges(postalCode, ranges) {
+    const code = RuleBasedShippingCalculator.normalizePostalCode(postalCode);
+    return ranges.some((bounds) => {
+      const [from, to] = bounds.map(
+        RuleBasedShippingCalculator.normalizePostalCode
+      );
+      if (code.length < from.length || code.length < to.length) return false;
+      return (
+        code.slice(0, from.length) >= from && code.slice(0, to.length) <= to
+      );
+    });
+  }
+
+  constructor(table) {
+    this.table = table;
+    this.validateTable();
+  }
+
+  // A typo in the JSON should fail on load, not at checkout
+  validateTable() {
+    for (const rule of this.table.cartRules ?? []) {
+      for (const condition of Object.keys(rule.when ?? {})) {
+        if (!cartRuleConditions[condition]) {
+          throw new ShippingError(
+            `Cart rule "${rule.id}" uses unknown condition "${condition}"`
+          );
+        }
+      }
+      const actions = Object.keys(rule).filter((key) => cartRuleActions[key]);
+      if (actions.length !== 1) {
+        const known = Object.keys(cartRuleActions).join(", ");
+        throw new ShippingError(
+          `Cart rule "${rule.id}" needs exactly one action (${known})`
+        );
+      }
+    }
+
+    for (const service of Object.values(this.table.services)) {
+      for (const brackets of Object.values(service.rates)) {
+        brackets.sort((a, b) => a[0] - b[0]);
+      }
+    }
+  }
+
+  findZone(postalCode) {
+    const zone = this.table.zones.find((candidate) =>
+      RuleBasedShippingCalculator.inRanges(postalCode, candidate.ranges)
+    );
+    if (!zone) {
+      throw new ShippingError(
+        `No shipping zone covers postal code ${postalCode}`
+      );
+    }
+    return zone;
+  }
+
+  // Carriers bill light but bulky parcels by volume / divisor. Each item is
+  // billed at the greater of its actual and dimensional weight, so
+  // billableKg is a sum of per-item maximums, while actualKg and
+  // dimensionalKg are plain totals
+  billableWeight(items) {
+    let actualKg = 0;
+    let dimensionalKg = 0;
+    let billableKg = 0;
+
+    for (const item of items) {
+      const [length, width, height] = item.dimensionsCm;
+      const itemDimensionalKg =
+        (length * width * height) / this.table.dimDivisor;
+      actualKg += item.weightKg * item.qty;
+      dimensionalKg += itemDimensionalKg * item.qty;
+      billableKg += Math.max(item.weightKg, itemDimensionalKg) * item.qty;
+    }
+
+    const round = (kg) => Math.round(kg * 10) / 10;
+    return {
+      actualKg: round(actualKg),
+      dimensionalKg: round(dimensionalKg),
+      billableKg: Math.ceil(billableKg * 2) / 2, // Next 0.5 kg
+    };
+  }
+
+  isOversized(item) {
+    const [length, width, height] = [...item.dimensionsCm].sort(
+      (a, b) => b - a
+    );
+    const { maxSideCm, maxLengthPlusGirthCm } = this.table.surcharges.oversized;
+    const girth = 2 * (width + height);
+    return length > maxSideCm || length + girth > maxLengthPlusGirthCm;
+  }
+
+  quote(cart, serviceId) {
+    const service = this.table.services[serviceId];
+    if (!service) throw new ShippingError(`Unknown service "${serviceId}"`);
+
+    const { postalCode } = cart.destination;
+    const zone = this.findZone(postalCode);
+    const brackets = service.rates[zone.id];
+    if (!brackets) {
+      throw new ShippingError(
+        `${service.name} does not ship to zone ${zone.id}`
+      );
+    }
+
+    const { surcharges, freeShipping } = this.table;
+    const weight = this.billableWeight(cart.items);
+    const ctx = {
+      cart,
+      serviceId,
+      zone,
+      itemCount: cart.items.reduce((sum, item) => sum + item.qty, 0),
+      subtotalCents: cart.items.reduce(
+        (sum, item) => sum + toCents(item.price) * item.qty,
+        0
+      ),
+    };
+
+    const lines = [];
+    const sumOf = (codes) =>
+      lines
+        .filter((line) => !codes || codes.includes(line.code))
+        .reduce((sum, line) => sum + line.cents, 0);
+    const addLine = (code, label, cents, detail) => {
+      if (cents !== 0 || code === "base") {
+        lines.push({ code, label, cents, detail });
+      }
+    };
+
+    // Base rate from the weight bracket, then per-kg beyond the last bracket
+    const bracket =
+      brackets.find(([maxKg]) => weight.billableKg <= maxKg) ??
+      brackets[brackets.length - 1];
+    const [bracketKg, bracketPrice] = bracket;
+    addLine(
+      "base",
+      `${service.name} rate`,
+      toCents(bracketPrice),
+      `zone ${zone.id} (${zone.name}), ${weight.billableKg} kg billable ` +
+        `(sum of per-item max; total actual ${weight.actualKg} kg, ` +
+        `total dimensional ${weight.dimensionalKg} kg)`
+    );
+
+    const extraKg = Math.max(0, Math.ceil(weight.billableKg - bracketKg));
+    const perKgCents = toCents(service.extraPerKg[zone.id]);
+    addLine(
+      "weight",
+      "Extra weight",
+      extraKg * perKgCents,
+      `${extraKg} kg over ${bracketKg} kg at ${formatMoney(perKgCents)}/kg`
+    );
+
+    const transportCents = sumOf();
+    addLine(
+      "fuel",
+      "Fuel surcharge",
+      Math.round((transportCents * surcharges.fuelPercent) / 100),
+      `${surcharges.fuelPercent}% of ${formatMoney(transportCents)}`
+    );
+
+    const { remoteAreas } = this.table;
+    if (RuleBasedShippingCalculator.inRanges(postalCode, remoteAreas)) {
+      addLine(
+        "remote",
+        "Remote area surcharge",
+        toCents(surcharges.remoteArea),
+        `postal code ${postalCode} is a remote area`
+      );
+    }
+
+    const oversizedItems = cart.items.filter((item) => this.isOversized(item));
+    const oversizedUnits = oversizedItems.reduce(
+      (sum, item) => sum + item.qty,
+      0
+    );
+    const oversizedFeeCents = toCents(surcharges.oversized.fee);
+    addLine(
+      "oversized",
+      "Oversized item surcharge",
+      oversizedUnits * oversizedFeeCents,
+      `${oversizedUnits} x ${formatMoney(oversizedFeeCents)}: ` +
+        oversizedItems.map((item) => item.sku).join(", ")
+    );
+
+    let hint = null;
+    if (freeShipping?.services.includes(serviceId)) {
+      const thresholdCents = toCents(freeShipping.threshold);
+      if (ctx.subtotalCents >= thresholdCents) {
+        addLine(
+          "free-shipping",
+          "Free shipping",
+          -sumOf(freeShipping.waives),
+          `order over ${formatMoney(thresholdCents)} waives ` +
+            freeShipping.waives.join(", ")
+        );
+      } else {
+        const missing = formatMoney(thresholdCents - ctx.subtotalCents);
+        hint = `Add ${missing} more for free ${service.name} shipping`;
+      }
+    }
+
+    for (const rule of this.table.cartRules ?? []) {
+      const matches = Object.entries(rule.when ?? {}).every(([name, value]) =>
+        cartRuleConditions[name](value, ctx)
+      );
+      if (!matches) continue;
+
+      const [action] = Object.keys(rule).filter((key) => cartRuleActions[key]);
+      addLine(
+        `rule:${rule.id}`,
+        rule.label,
+        cartRuleActions[action](rule[action], ctx, sumOf()),
+        `${action}: ${rule[action]}`
+      );
+    }
+
+    return {
+      service: serviceId,
+      name: service.name,
+      estimatedDelivery: `${service.days} business days`,
+      zone: zone.id,
+      currency: this.table.currency,
+      weight,
+      lines: lines.map(({ cents, ...line }) => ({
+        ...line,
+        amount: cents / 100,
+      })),
+      total: sumOf() / 100,
+      hint,
+    };
+  }
+
+  // Every service that ships to the destination, cheapest first
+  quoteAll(cart) {
+    // Unknown destinations still throw instead of returning no options
+    this.findZone(cart.destination.postalCode);
+
+    return Object.keys(this.table.services)
+      .flatMap((serviceId) => {
+        try {
+          return [this.quote(cart, serviceId)];
+        } catch (error) {
+          if (error instanceof ShippingError) return [];
+          throw error;
+        }
+      })
+      .sort((a, b) => a.total - b.total);
+  }
+}
+
+// Usage: in an app this would be fs.readFileSync("rates.json", "utf8")
+const rateTableJSON = `{
+  "currency": "USD",
+  "dimDivisor": 5000,
+  "zones": [
+    { "id": "A", "name": "Local", "ranges": [["10000", "19999"]] },
+    { "id": "B", "name": "Regional", "ranges": [["20000", "59999"]] },
+    { "id": "C", "name": "National", "ranges": [["60000", "99999"]] }
+  ],
+  "remoteAreas": [["96700", "96899"], ["99500", "99999"]],
+  "services": {
+    "standard": {
+      "name": "Standard",
+      "days": "5-7",
+      "rates": {
+        "A": [[1, 4.5], [5, 6.75], [10, 9.5], [20, 14]],
+        "B": [[1, 5.5], [5, 8.25], [10, 12], [20, 18]],
+        "C": [[1, 7], [5, 10.5], [10, 15.25], [20, 23]]
+      },
+      "extraPerKg": { "A": 0.6, "B": 0.8, "C": 1.1 }
+    },
+    "express": {
+      "name": "Express",
+      "days": "1-2",
+      "rates": {
+        "A": [[1, 9], [5, 13.5], [10, 19], [20, 28]],
+        "B": [[1, 12], [5, 17], [10, 24], [20, 35]]
+      },
+      "extraPerKg": { "A": 1.2, "B": 1.6 }
+    }
+  },
+  "surcharges": {
+    "fuelPercent": 8.5,
+    "remoteArea": 12,
+    "oversized": { "maxSideCm": 120, "maxLengthPlusGirthCm": 300, "fee": 25 }
+  },
+  "freeShipping": {
+    "threshold": 100,
+    "services": ["standard"],
+    "waives": ["base", "weight", "fuel"]
+  },
+  "cartRules": [
+    {
+      "id": "hazmat",
+      "label": "Hazardous goods handling",
+      "when": { "itemTag": "hazmat" },
+      "fee": 15
+    },
+    {
+      "id": "bulk",
+      "label": "Bulk order handling",
+      "when": { "minItems": 10 },
+      "perItemFee": 0.25
+    },
+    {
+      "id": "members",
+      "label": "Member express discount",
+      "when": { "customerTag": "member", "service": "express" },
+      "percentOff": 20
+    }
+  ]
+}`;
+
+const rateCalculator = RuleBasedShippingCalculator.fromJSON(rateTableJSON);
+
+const printQuote = (quote) => {
+  const { name, zone, estimatedDelivery } = quote;
+  console.log(`${name} to zone ${zone}, ${estimatedDelivery}`);
+  for (const line of quote.lines) {
+    const amount = line.amount.toFixed(2).padStart(7);
+    console.log(`  ${line.label.padEnd(26)} ${amount}  ${line.detail}`);
+  }
+  console.log(`  ${"Total".padEnd(26)} ${quote.total.toFixed(2).padStart(7)}`);
+  if (quote.hint) console.log(`  Tip: ${quote.hint}`);
+};
+
+// A bulky lamp weighs 2 kg but is billed by volume (60x40x40 / 5000 = 19.2 kg)
+const localCart = {
+  destination: { postalCode: "10115" },
+  customer: { tags: ["member"] },
+  items: [
+    {
+      sku: "BOOK-1",
+      price: 18,
+      qty: 2,
+      weightKg: 0.8,
+      dimensionsCm: [24, 17, 4],
+    },
+    {
+      sku: "LAMP-7",
+      price: 45,
+      qty: 1,
+      weightKg: 2,
+      dimensionsCm: [60, 40, 40],
+    },
+  ],
+};
+rateCalculator.quoteAll(localCart).forEach(printQuote);
+// Standard to zone A, 5-7 business days
+//   Standard rate                14.00  zone A (Local), 21 kg billable (...)
+//   Extra weight                  0.60  1 kg over 20 kg at $0.60/kg
+//   Fuel surcharge                1.24  8.5% of $14.60
+//   Total                        15.84
+//   Tip: Add $19.00 more for free Standard shipping
+// Express to zone A ... with a 20% member discount line
+
+// Free standard shipping still leaves the surcharges it does not waive
+const remoteCart = {
+  destination: { postalCode: "99501" },
+  items: [
+    {
+      sku: "PADDLE-2",
+      price: 120,
+      qty: 1,
+      weightKg: 1.5,
+      dimensionsCm: [220, 20, 10],
+    },
+    {
+      sku: "HULL-CLEANER",
+      price: 15,
+      qty: 1,
+      weightKg: 1,
+      dimensionsCm: [10, 10, 25],
+      tags: ["hazmat"],
+    },
+  ],
+};
+// Express does not reach zone C, so standard is the only option
+const [remoteQuote] = rateCalculator.quoteAll(remoteCart);
+printQuote(remoteQuote);
+const linesSum = remoteQuote.lines.reduce(
+  (sum, line) => sum + toCents(line.amount),
+  0
+);
+console.log("Lines add up:", linesSum / 100 === remoteQuote.total); // true
+
+try {
+  const destination = { postalCode: "00501" };
+  rateCalculator.quote({ ...remoteCart, destination }, "standard");
+} catch (error) {
+  console.log(error.message); // No shipping zone covers postal code 00501
+}
+
+// ZIP+4 codes are matched on their first five digits
+console.log(rateCalculator.findZone("99501-1234").id); // C
+
 // -------------------------------------------------------------------------------------------
 // SUMMARY & BEST PRACTICES
 // -------------------------------------------------------------------------------------------
@@ -535,11 +2459,15 @@ console.log(dateFormatter.format(new Date(Date.now() - 86400000)));
  *
  * USE CASES:
  * - Payment processing (different payment methods)
+ * - Payment lifecycle (plugin registry + state machine + idempotency)
  * - Validation (different validation rules)
+ * - Schema validation (nested, async and cross-field rules)
  * - Sorting (different sorting algorithms)
  * - Compression (different compression formats)
+ * - Streaming compression (native gzip/deflate, pure JS LZ77/LZW)
  * - Authentication (different auth methods)
  * - Pricing (different pricing strategies)
+ * - Shipping rates (JSON rate tables, zones, surcharges, cart rules)
  *
  * BENEFITS:
  * - Open/Closed Principle (add new strategies without modifying context)